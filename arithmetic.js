@@ -391,13 +391,19 @@ class Coder {
 /* Do the same stuff as `Coder`... backwards
  * See comments in `Coder` to understand the algorithm
  *
- * Byte stuffing must have already been removed from `input`! */
+ * `input` is an array (or Buffer, or Uint8Array) holding the coded data just as it appears
+ * in a JPEG file, starting at index `offset` and running for `length` bytes; it is read in
+ * place, not copied. Each 0xFF byte in the coded data is followed by a 'stuffed' zero byte,
+ * which is skipped. If 0xFF is followed by anything else, that is a marker, which means
+ * the end of the coded data (T.81, section D.2.6) */
 class Decoder {
-  constructor(input) {
+  constructor(input, offset=0, length=input.length-offset) {
     this.intervalBase = 0;
     this.intervalSize = 0x10000;
     this.neededBits = 0;
     this.input = input;
+    this.position = offset; /* Index of the next byte of `input` to decode */
+    this.end = offset + length;
 
     /* Prime the pipeline */
     this.consumeInputByte();
@@ -409,19 +415,28 @@ class Decoder {
   decodeBit(stats, context) {
     const state = stateTable[stats.states[context]];
     const mps = stats.moreProbableSymbol[context];
-    const [result, nextState, swapMPS] = this.decodeDecision(state.probability, mps, state.nextMPS, state.nextLPS, state.swapMPS);
 
-    if (nextState) {
-      stats.states[context] = nextState;
-    }
-    if (swapMPS) {
-      stats.moreProbableSymbol[context] = !mps;
+    /* Only a decision which makes us renormalize moves to a new state: any LPS, or an MPS which
+     * leaves the interval too small. Check before decoding, since decoding changes the interval */
+    const renormalize = (this.intervalSize - state.probability) < 0x8000;
+    const result = this.decodeDecision(state.probability, mps);
+
+    if (result === mps) {
+      if (renormalize) {
+        stats.states[context] = state.nextMPS;
+      }
+    } else {
+      stats.states[context] = state.nextLPS;
+      if (state.swapMPS) {
+        stats.moreProbableSymbol[context] = !mps;
+      }
     }
 
     return result;
   }
 
-  decodeDecision(probability, mps, nextStateMPS, nextStateLPS, swapMPS) {
+  /* Decode one bit with the given LPS probability, without updating any statistics */
+  decodeDecision(probability, mps) {
     var result;
 
     this.intervalSize -= probability;
@@ -430,7 +445,7 @@ class Decoder {
       if (this.intervalSize < 0x8000) {
         result = Boolean((this.intervalSize < probability) ^ mps);
       } else {
-        return [mps, null, false];
+        return mps;
       }
     } else {
       result = Boolean((this.intervalSize >= probability) ^ mps);
@@ -439,9 +454,7 @@ class Decoder {
     }
 
     this.renormalize();
-
-    const nextState = (result === mps) ? nextStateMPS : nextStateLPS
-    return [result, nextState, (result !== mps) && swapMPS];
+    return result;
   }
 
   decodeUInt(nBits, stats, context) {
@@ -456,12 +469,22 @@ class Decoder {
   }
 
   consumeInputByte() {
-    if (this.input.length === 0) {
+    if (this.position >= this.end) {
       /* We have reached the end of the input data
        * Act as if the input is padded with zeroes */
       return;
     }
-    this.intervalBase += (this.input.shift() << 8);
+    const byte = this.input[this.position];
+    if (byte === 0xFF) {
+      if (this.input[this.position+1] !== 0) {
+        /* Marker; don't go past it, just keep padding with zeroes from here on */
+        this.end = this.position;
+        return;
+      }
+      this.position++; /* Skip the stuffed zero byte */
+    }
+    this.position++;
+    this.intervalBase += (byte << 8);
   }
 
   renormalize() {
@@ -528,44 +551,73 @@ class Decoder {
   static X2_low = 189;
   static X2_high = Decoder.X2_low + 28;
 
-  /* Decode representation used by JPEG for DC coefficients */
-  decodeDCCoefficientDelta(stats, prevDCDelta, lowThreshold, highThreshold) {
-    var S0; /* Base index for current DC conditioning table's statistics area */
-    if (prevDCDelta > lowThreshold && prevDCDelta <= highThreshold) {
-      S0 = Decoder.S0_small; /* "small" difference category */
-    } else if (prevDCDelta > highThreshold) {
-      S0 = Decoder.S0_large;
-    } else if (-prevDCDelta > lowThreshold && -prevDCDelta <= highThreshold) {
-      S0 = Decoder.S0_neg_small;
-    } else if (-prevDCDelta > highThreshold) {
-      S0 = Decoder.S0_neg_large;
+  /* Lossless JPEGs use a two-dimensional version of the model for DC deltas;
+   * the probability estimates for each difference are conditioned on the
+   * differences for the samples immediately to the left (Da) and above (Db).
+   * Each is classified into one of the same 5 categories as for DC deltas,
+   * giving 25 groups of 4 context indices (See T.81, Figure H.2)
+   *
+   * There are also 2 sets of X1-X15 and M2-M15 indices; one is used when Db is
+   * "large", and the other when it is not (See T.81, Table H.3) */
+  static X1_lossless = 100;
+  static X1_lossless_large = Decoder.X1_lossless + 29;
+  static losslessContexts = Decoder.X1_lossless_large + 29;
+
+  /* Which of 5 categories does the magnitude of a previously decoded difference fall into?
+   * Returns base context index for that category */
+  static conditioningCategory(delta, lowThreshold, highThreshold) {
+    if (delta > lowThreshold && delta <= highThreshold) {
+      return Decoder.S0_small; /* "small" difference category */
+    } else if (delta > highThreshold) {
+      return Decoder.S0_large;
+    } else if (-delta > lowThreshold && -delta <= highThreshold) {
+      return Decoder.S0_neg_small;
+    } else if (-delta > highThreshold) {
+      return Decoder.S0_neg_large;
     } else {
-      S0 = Decoder.S0_zero;
+      return Decoder.S0_zero;
     }
+  }
+
+  /* Decode representation used by JPEG for DC coefficients */
+  decodeDCCoefficientDelta(stats, prevDCDelta, lowThreshold, highThreshold) {
+    /* Base index for current DC conditioning table's statistics area */
+    const S0 = Decoder.conditioningCategory(prevDCDelta, lowThreshold, highThreshold);
 
     if (!this.decodeBit(stats, S0))
       return 0;
     return this.decodeSignMagnitude(stats, S0 + 1, S0 + 2, S0 + 3, Decoder.X1, Decoder.X1 + 1);
   }
 
-  /* Decode representation used by JPEG for AC coefficients */
-  decodeACCoefficients(stats, threshold, spectralStart=1, spectralEnd=63) {
-    const acCoefficients = [];
+  /* Decode difference between a sample and its predicted value, for lossless JPEGs */
+  decodeLosslessDifference(stats, Da, Db, lowThreshold, highThreshold) {
+    const categoryA = Decoder.conditioningCategory(Da, lowThreshold, highThreshold);
+    const categoryB = Decoder.conditioningCategory(Db, lowThreshold, highThreshold);
+    const S0 = (5 * categoryB) + categoryA;
+
+    if (!this.decodeBit(stats, S0))
+      return 0;
+    const X1 = (Math.abs(Db) > highThreshold) ? Decoder.X1_lossless_large : Decoder.X1_lossless;
+    return this.decodeSignMagnitude(stats, S0 + 1, S0 + 2, S0 + 3, X1, X1 + 1);
+  }
 
-    var zigZagIndex = spectralStart-1;
+  /* Decode representation used by JPEG for AC coefficients
+   * The coefficients are stored in `block`, with coefficient 0 of the block at index `offset` */
+  decodeACCoefficients(stats, threshold, block, offset, spectralStart=1, spectralEnd=63) {
+    var zigZagIndex = spectralStart;
     do {
       /* Context indices used for decoding this AC coefficient
        * Follow names in JPEG spec (see Table F.5) */
-      var SE    = 3 * zigZagIndex;
+      var SE    = 3 * (zigZagIndex - 1);
       var S0    = SE + 1;
       var SN_SP = S0 + 1;
       var X1    = S0 + 1;
 
       if (this.decodeBit(stats, SE)) {
         /* End of block; the remaining coefficients are zero */
-        while (acCoefficients.length <= (spectralEnd - spectralStart))
-          acCoefficients.push(0);
-        return acCoefficients;
+        while (zigZagIndex <= spectralEnd)
+          block[offset + zigZagIndex++] = 0;
+        return;
       }
 
       while (!this.decodeBit(stats, S0)) {
@@ -573,8 +625,7 @@ class Decoder {
          * This won't overrun the total of 63 coefficients which we need; because
          * if all remaining coefficients were zero, that would have been encoded
          * as 'end of block' */
-        acCoefficients.push(0);
-        zigZagIndex++;
+        block[offset + zigZagIndex++] = 0;
         S0    += 3;
         SN_SP += 3;
         X1    += 3;
@@ -584,16 +635,14 @@ class Decoder {
        * estimating probability of positive/negative sign; a fixed probability
        * estimate is used instead. Also, the same index is shared for estimating
        * likelihood of getting 1 or -1. */
-      if (zigZagIndex < threshold) {
-        acCoefficients.push(this.decodeSignMagnitude(stats, null, SN_SP, SN_SP, X1, Decoder.X2_low));
+      if (zigZagIndex - 1 < threshold) {
+        block[offset + zigZagIndex] = this.decodeSignMagnitude(stats, null, SN_SP, SN_SP, X1, Decoder.X2_low);
       } else {
-        acCoefficients.push(this.decodeSignMagnitude(stats, null, SN_SP, SN_SP, X1, Decoder.X2_high));
+        block[offset + zigZagIndex] = this.decodeSignMagnitude(stats, null, SN_SP, SN_SP, X1, Decoder.X2_high);
       }
 
       zigZagIndex++;
-    } while (acCoefficients.length <= (spectralEnd - spectralStart));
-
-    return acCoefficients;
+    } while (zigZagIndex <= spectralEnd);
   }
 
   /* Decode sign-magnitude-bits representation used by JPEG for coefficients
@@ -603,8 +652,7 @@ class Decoder {
     if (signContext) {
       sign = this.decodeBit(stats, signContext) ? -1 : 1;
     } else {
-      const [signBit,] = this.decodeDecision(0x5A1D, false)
-      sign = signBit ? -1 : 1;
+      sign = this.decodeDecision(0x5A1D, false) ? -1 : 1;
     }
 
     if (sign === 1 ? !this.decodeBit(stats, posContext) : !this.decodeBit(stats, negContext))
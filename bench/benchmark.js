@@ -0,0 +1,27 @@
+'use strict';
+
+/* Measure how long it takes to decode some JPEG files
+ *
+ * Usage: node bench/benchmark.js [FILE.jpg...]
+ * With no arguments, the arithmetic-coded test images (test/arithmetic*.jpg) are used */
+
+const fs   = require('fs');
+const path = require('path');
+const { JPEG } = require('../jpeg.js');
+
+const testDir = path.join(__dirname, '..', 'test');
+const files = (process.argv.length > 2) ? process.argv.slice(2) :
+  fs.readdirSync(testDir).filter((name) => /^arithmetic.*\.jpg$/.test(name)).map((name) => path.join(testDir, name));
+const iterations = 50;
+
+for (const file of files) {
+  const data = fs.readFileSync(file);
+  JPEG.decode(data); /* Warm up */
+
+  const start = process.hrtime.bigint();
+  for (var i = 0; i < iterations; i++)
+    JPEG.decode(data);
+  const milliseconds = Number(process.hrtime.bigint() - start) / 1e6 / iterations;
+
+  console.log(`${path.basename(file)}: ${milliseconds.toFixed(2)} ms per decode`);
+}
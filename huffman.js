@@ -1,230 +1,146 @@
 'use strict';
 
+/* Huffman decoding for JPEG entropy-coded data
+ *
+ * Huffman codes are read from the input bit by bit, most significant bit first.
+ * Rather than going one bit at a time to find where each code ends, we look at the next
+ * `lookaheadBits` bits of input all at once and use them to index a lookup table, which
+ * says how long the code is and which symbol it stands for. That works for the short codes
+ * which make up almost all of the input. The rare longer codes go through a slower path. */
+
+const lookaheadBits = 9;
+
 /* From a table mapping bitstrings to a corresponding symbol,
- * build a state table for a state machine which can decode
- * Huffman-coded data 4 bits at a time
+ * build the tables which `BitReader.decodeHuffman` uses to decode it
  *
- * `table` is like: { 'bitstring' => symbol, ... } */
+ * `table` is like: { 'bitstring' => symbol, ... }
+ * The codes must be listed from shortest to longest, and in increasing numeric order
+ * for each code length; that is how JPEG Huffman tables are always generated
+ *
+ * `lookup` has one entry for each possible `lookaheadBits`-bit sequence; if a code of
+ * that length or shorter starts the sequence, the entry holds (length << 8) | symbol.
+ * Otherwise it is 0, and the code is decoded as in T.81, section F.2.2.3: `maxCode[L]` is
+ * the largest code with length L (or -1 if there are none), and the symbol for code C with
+ * length L is `values[valueOffset[L] + C]` */
 function prepareDecoder(table) {
-  /* First find which states our state machine should have, and number them */
-  const prefixes = new Map(); /* prefix of a valid bitstring -> state # */
-  prefixes.set('', 0);
-
-  var stateNumber = 1;
-  for (var key of table.keys()) {
-    for (var i = 1; i < key.length; i++) {
-      const prefix = key.slice(0, i);
-      if (!prefixes.has(prefix))
-        prefixes.set(prefix, stateNumber++);
+  const lookup      = new Uint16Array(1 << lookaheadBits);
+  const maxCode     = new Int32Array(17).fill(-1);
+  const valueOffset = new Int32Array(17);
+  const values      = new Uint8Array(table.size);
+
+  var valueIndex = 0;
+  for (var [bitstring, symbol] of table) {
+    const length = bitstring.length;
+    const code = parseInt(bitstring, 2);
+    if (maxCode[length] === -1)
+      valueOffset[length] = valueIndex - code;
+    maxCode[length] = code;
+    values[valueIndex++] = symbol;
+
+    if (length <= lookaheadBits) {
+      /* Every sequence of bits which starts with this code */
+      const shift = lookaheadBits - length;
+      lookup.fill((length << 8) | symbol, code << shift, (code + 1) << shift);
     }
   }
 
-  /* Now generate transition table for each state */
-  const states = new Array(stateNumber + 3);
-  prefixes.forEach(function(n, prefix) {
-    /* 'emit' stores the symbol value(s) to recognize if we receive input X
-     * while in state N
-     * 'goto' is the next state to transition to if we receive input X
-     * 'bitIndex' is the number of bits consumed from input X to recognize
-     * the first symbol in `emit` */
-    var state = states[n] = {
-      number: n,
-      prefix: prefix,
-      emit: new Array(16),
-      goto: new Array(16),
-      bitIndex: new Array(16)
-    };
-
-    for (var i = 0; i < 16; i++) {
-      const input = i.toString(2).padStart(4, '0');
-      var bitstring = prefix + input;
-      var emit = state.emit[i] = [];
-
-      /* Search table of valid codes to see any which match a prefix of `bitstring` */
-      buildEmit: while (true) {
-        for (var code of table.keys()) {
-          if (bitstring.startsWith(code)) {
-            if (!emit.length) /* Is this the first item going into `emit`? */
-              state.bitIndex[i] = code.length - prefix.length;
-            emit.push(table.get(code));
-            bitstring = bitstring.slice(code.length);
-            continue buildEmit;
-          }
-        }
-        break;
-      }
+  return { lookup: lookup, maxCode: maxCode, valueOffset: valueOffset, values: values };
+}
 
-      state.goto[i] = prefixes.get(bitstring);
-      Object.freeze(state);
-    }
-  });
-
-  /* At the end of the state array, add 3 special states for handling either
-   * 3, 2, or 1 'extra' bits at the beginning of the coded input */
-  for (var nBits = 1; nBits <= 3; nBits++) {
-    var state = states[states.length - nBits] = {
-      emit: new Array(16),
-      goto: new Array(16),
-      bitIndex: new Array(16)
-    }
+/* Reads bits from entropy-coded data in a JPEG file, starting at `buffer[start]`
+ *
+ * The data is read as it appears in the file; 0xFF bytes are followed by a 'stuffed' 0x00
+ * byte, which is skipped. An 0xFF byte followed by anything else is a marker, which means
+ * the end of the entropy-coded data. Any bits read past the end (or `end`, which is an
+ * exclusive index into `buffer`) are zeroes */
+class BitReader {
+  constructor(buffer, start=0, end=buffer.length) {
+    this.buffer   = buffer;
+    this.position = start; /* Index of next byte to add to `bits` */
+    this.end      = end;
+    /* The low `nBits` bits of `bits` are input which has been loaded but not consumed yet */
+    this.bits     = 0;
+    this.nBits    = 0;
+  }
 
-    for (var i = 0; i < 2 ** nBits; i++) {
-      var input = i.toString(2).padStart(nBits, '0');
-      var emit = state.emit[i] = [];
-
-      buildEmit: while (true) {
-        for (var code of table.keys()) {
-          if (input.startsWith(code)) {
-            if (!emit.length)
-              state.bitIndex[i] = code.length;
-            emit.push(table.get(code));
-            input = input.slice(code.length);
-            continue buildEmit;
-          }
+  /* Load bytes of input until we have at least 25 bits ready to use (or run out) */
+  fill() {
+    while (this.nBits <= 24 && this.position < this.end) {
+      const byte = this.buffer[this.position];
+      if (byte === 0xFF) {
+        if (this.buffer[this.position+1] !== 0) {
+          /* Marker; there is no more entropy-coded data */
+          this.end = this.position;
+          return;
         }
-        break;
+        this.position++; /* Skip the stuffed zero byte */
       }
-
-      state.goto[i] = prefixes.get(input);
-      Object.freeze(state);
+      this.position++;
+      this.bits = (this.bits << 8) | byte;
+      this.nBits += 8;
     }
   }
 
-  Object.freeze(states);
-  return states;
-}
-
-/* `start` is an inclusive index, `end` is an exclusive one */
-function decodeBuffer(buffer, start, end, decoder) {
-  var position = start;
-  var result = [];
-  var state = decoder[0];
-
-  while (position < end) {
-    var value = buffer[position];
-
-    result.push(...state.emit[value >> 4]);
-    var goto = state.goto[value >> 4];
-    if (goto !== undefined) {
-      state = decoder[goto];
-    } else if (position < end-1) { /* The last byte may be padded */
-      throw new Error("Invalid input to Huffman decoder");
-    } else {
-      return result;
-    }
-
-    result.push(...state.emit[value & 0xF]);
-    var goto = state.goto[value & 0xF];
-    if (goto !== undefined) {
-      state = decoder[goto];
-    } else if (position < end-1) { /* As above */
-      throw new Error("Invalid input to Huffman decoder");
-    } else {
-      return result;
-    }
-
-    position++;
+  /* Is there any more input which has not been consumed yet? */
+  hasMoreData() {
+    if (!this.nBits)
+      this.fill();
+    return this.nBits > 0;
   }
 
-  return result;
-}
-
-/* Only decode a single symbol from the input
- * As with `decodeBuffer`, [start,end) are indices into `buffer`
- * `bitIndex` is the bit which we should start decoding from in `buffer[start]`,
- * where the MSB is numbered as 0 and the LSB as 7
- * Returns an array of: [nextByteIndex, nextBitIndex, symbol] */
-function decodeOne(buffer, start, end, bitIndex, decoder) {
-  var position = start;
-  var state = decoder[0];
-
-  /* Any 'extra' bits (less than a full byte) to consume at beginning of coded input? */
-  if (bitIndex && position < end) {
-    var value = buffer[position];
-
-    /* Optionally consume 1, 2, or 3 leading bits to leave a multiple of 4 bits */
-    var nBits = 4 - (bitIndex & 3);
-    if (nBits && nBits < 4) {
-      state = decoder[decoder.length - nBits];
-      var bits = (bitIndex < 4 ? value >> 4 : value) & ((1 << nBits) - 1);
-      var emit = state.emit[bits];
-      if (emit.length) {
-        bitIndex = bitIndex + state.bitIndex[bits];
-        if (bitIndex == 8)
-          position++;
-        return [position, bitIndex % 8, emit[0]];
-      }
-      var goto = state.goto[bits];
-      if (goto !== undefined) {
-        state = decoder[goto];
-      } else if (position < end-1) { /* The last byte may be padded */
-        throw new Error("Invalid input to Huffman decoder");
-      } else {
-        throw new Error("End of input (reached padding)");
+  /* Get the next `n` bits of input (up to 24), without consuming them */
+  peekBits(n) {
+    if (this.nBits < n) {
+      this.fill();
+      if (this.nBits < n) {
+        /* Pad the remaining input with zero bits */
+        return (this.bits << (n - this.nBits)) & ((1 << n) - 1);
       }
     }
+    return (this.bits >>> (this.nBits - n)) & ((1 << n) - 1);
+  }
 
-    /* Then consume the remaining 4 bits if there are any */
-    if (bitIndex <= 4) {
-      var emit = state.emit[value & 0xF];
-      if (emit.length) {
-        bitIndex = 4 + state.bitIndex[value & 0xF];
-        if (bitIndex == 8)
-          position++;
-        return [position, bitIndex % 8, emit[0]];
-      }
-      var goto = state.goto[value & 0xF];
-      if (goto !== undefined) {
-        state = decoder[goto];
-      } else if (position < end-1) { /* See above */
-        throw new Error("Invalid input to Huffman decoder");
-      } else {
-        throw new Error("End of input (reached padding)");
-      }
-    }
+  /* Consume and return the next `n` bits of input (up to 24) */
+  readBits(n) {
+    const result = this.peekBits(n);
+    this.nBits = Math.max(this.nBits - n, 0);
+    return result;
+  }
 
-    position++;
+  readBit() {
+    return this.readBits(1);
   }
 
-  /* Consume full bytes, looking for a valid coded symbol */
-  while (position < end) {
-    var value = buffer[position];
+  /* Read one Huffman-coded symbol, using tables built by `prepareDecoder` */
+  decodeHuffman(decoder) {
+    var length, symbol;
+    const entry = decoder.lookup[this.peekBits(lookaheadBits)];
 
-    var emit = state.emit[value >> 4];
-    if (emit.length) {
-      return [position, state.bitIndex[value >> 4], emit[0]];
-    }
-    var goto = state.goto[value >> 4];
-    if (goto !== undefined) {
-      state = decoder[goto];
-    } else if (position < end-1) { /* See above */
-      throw new Error("Invalid input to Huffman decoder");
+    if (entry) {
+      length = entry >> 8;
+      symbol = entry & 0xFF;
     } else {
-      throw new Error("End of input (reached padding)");
+      /* The code is longer than `lookaheadBits`; try each possible length in turn */
+      const bits = this.peekBits(16);
+      for (length = lookaheadBits + 1; length <= 16; length++) {
+        const code = bits >> (16 - length);
+        if (code <= decoder.maxCode[length]) {
+          symbol = decoder.values[decoder.valueOffset[length] + code];
+          break;
+        }
+      }
+      if (length > 16)
+        throw new Error("Invalid input to Huffman decoder");
     }
 
-    var emit = state.emit[value & 0xF];
-    if (emit.length) {
-      bitIndex = state.bitIndex[value & 0xF] + 4;
-      if (bitIndex == 8)
-        position++
-      return [position, bitIndex % 8, emit[0]];
-    }
-    var goto = state.goto[value & 0xF];
-    if (goto !== undefined) {
-      state = decoder[goto];
-    } else if (position < end-1) { /* See above */
-      throw new Error("Invalid input to Huffman decoder");
-    } else {
+    /* The code may run into the zero bits which we pretend follow the end of the input;
+     * a valid JPEG should never do that */
+    if (length > this.nBits)
       throw new Error("End of input (reached padding)");
-    }
-
-    position++;
+    this.nBits -= length;
+    return symbol;
   }
-
-  throw new Error("No more input");
 }
 
 module.exports.prepareDecoder = prepareDecoder;
-module.exports.decodeBuffer   = decodeBuffer;
-module.exports.decodeOne      = decodeOne;
+module.exports.BitReader      = BitReader;
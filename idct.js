@@ -0,0 +1,625 @@
+'use strict';
+
+/* Fast inverse DCTs
+ *
+ * The obvious way to compute the 2-dimensional IDCT of an 8x8 block takes 64 multiplications
+ * for each of the 64 output samples. But the IDCT is 'separable'; we can do a 1-dimensional
+ * IDCT on each column, and then a 1-dimensional IDCT on each row of the result. And each of those
+ * 1-dimensional IDCTs can be factored (much like an FFT) to use only a handful of multiplications.
+ *
+ * These are ports of the IDCTs in libjpeg (jidctint.c, jidctfst.c, and jidctflt.c).
+ *
+ * Each one takes 64 dequantized coefficients in natural (not zig-zag) order and returns 64 samples,
+ * also in natural order. As with `JPEG.inverseDCT`, the samples have not been level-shifted, so
+ * for 8-bit samples they will normally be in the range -128..127, and they are not clamped to
+ * that range.
+ *
+ * The samples are written to `output`, if it is passed; then nothing is allocated, since the
+ * intermediate results are kept in these work arrays, which are shared by all calls */
+const intInput     = new Int32Array(64);
+const intWorkspace = new Int32Array(64);
+const floatInput     = new Float64Array(64);
+const floatWorkspace = new Float64Array(64);
+
+/* Scaling factors used by the AA&N (Arai, Agui, and Nakajima) algorithm, which is used by
+ * `fastIDCT` and `floatIDCT`; it requires the input coefficients to be multiplied by these
+ * first, which libjpeg does as part of dequantization
+ * scaleFactor[0] = 1, scaleFactor[k] = cos(k*PI/16) * sqrt(2) */
+const aanScaleFactors = new Array(64);
+for (var row = 0; row < 8; row++) {
+  for (var col = 0; col < 8; col++) {
+    const rowFactor = row ? Math.cos(row * Math.PI / 16) * Math.SQRT2 : 1;
+    const colFactor = col ? Math.cos(col * Math.PI / 16) * Math.SQRT2 : 1;
+    aanScaleFactors[row*8 + col] = rowFactor * colFactor;
+  }
+}
+/* `fastIDCT` uses integer arithmetic, so it uses the same factors scaled up by 2^14 */
+const aanScales = aanScaleFactors.map((factor) => Math.round(factor * (1 << 14)));
+
+/* Constants used by `integerIDCT`, scaled up by 2^13 */
+const FIX_0_298631336 = 2446;
+const FIX_0_390180644 = 3196;
+const FIX_0_541196100 = 4433;
+const FIX_0_765366865 = 6270;
+const FIX_0_899976223 = 7373;
+const FIX_1_175875602 = 9633;
+const FIX_1_501321110 = 12299;
+const FIX_1_847759065 = 15137;
+const FIX_1_961570560 = 16069;
+const FIX_2_053119869 = 16819;
+const FIX_2_562915447 = 20995;
+const FIX_3_072711026 = 25172;
+/* And by the reduced-size integer IDCTs */
+const FIX_0_211164243 = 1730;
+const FIX_0_509795579 = 4176;
+const FIX_0_601344887 = 4926;
+const FIX_0_720959822 = 5906;
+const FIX_0_850430095 = 6967;
+const FIX_1_061594337 = 8697;
+const FIX_1_272758580 = 10426;
+const FIX_1_451774981 = 11893;
+const FIX_2_172734803 = 17799;
+const FIX_3_624509785 = 29692;
+
+/* Divide by 2^n, rounding to the nearest integer */
+function descale(value, n) {
+  return (value + (1 << (n - 1))) >> n;
+}
+
+/* Accurate integer IDCT; gives exactly the same results as libjpeg's default 'islow' method
+ * This uses the Loeffler, Ligtenberg, and Moschytz algorithm, with 12 multiplications for
+ * each 1-dimensional IDCT
+ *
+ * `precision` is the number of bits per sample (8 or 12); for 12-bit samples, the
+ * intermediate results are scaled up less, so they do not overflow 32 bits */
+function integerIDCT(coefficients, precision=8, samples=new Int32Array(64)) {
+  const CONST_BITS = 13;
+  const PASS1_BITS = (precision === 8) ? 2 : 1;
+  const workspace = intWorkspace;
+
+  /* Pass 1: process columns from input, store into work array */
+  for (var col = 0; col < 8; col++) {
+    if (!coefficients[8+col] && !coefficients[16+col] && !coefficients[24+col] && !coefficients[32+col] &&
+        !coefficients[40+col] && !coefficients[48+col] && !coefficients[56+col]) {
+      /* All AC terms are zero, so the output is constant; this is very common */
+      const dcValue = coefficients[col] << PASS1_BITS;
+      for (var i = 0; i < 64; i += 8)
+        workspace[i+col] = dcValue;
+      continue;
+    }
+
+    /* Even part */
+    var z2 = coefficients[16+col];
+    var z3 = coefficients[48+col];
+    var z1 = (z2 + z3) * FIX_0_541196100;
+    var tmp2 = z1 - (z3 * FIX_1_847759065);
+    var tmp3 = z1 + (z2 * FIX_0_765366865);
+
+    z2 = coefficients[col];
+    z3 = coefficients[32+col];
+    var tmp0 = (z2 + z3) * (1 << CONST_BITS);
+    var tmp1 = (z2 - z3) * (1 << CONST_BITS);
+
+    const tmp10 = tmp0 + tmp3;
+    const tmp13 = tmp0 - tmp3;
+    const tmp11 = tmp1 + tmp2;
+    const tmp12 = tmp1 - tmp2;
+
+    /* Odd part */
+    tmp0 = coefficients[56+col];
+    tmp1 = coefficients[40+col];
+    tmp2 = coefficients[24+col];
+    tmp3 = coefficients[8+col];
+
+    z1 = tmp0 + tmp3;
+    z2 = tmp1 + tmp2;
+    z3 = tmp0 + tmp2;
+    var z4 = tmp1 + tmp3;
+    const z5 = (z3 + z4) * FIX_1_175875602;
+
+    tmp0 *= FIX_0_298631336;
+    tmp1 *= FIX_2_053119869;
+    tmp2 *= FIX_3_072711026;
+    tmp3 *= FIX_1_501321110;
+    z1 *= -FIX_0_899976223;
+    z2 *= -FIX_2_562915447;
+    z3 = (z3 * -FIX_1_961570560) + z5;
+    z4 = (z4 * -FIX_0_390180644) + z5;
+
+    tmp0 += z1 + z3;
+    tmp1 += z2 + z4;
+    tmp2 += z2 + z3;
+    tmp3 += z1 + z4;
+
+    workspace[col]    = descale(tmp10 + tmp3, CONST_BITS - PASS1_BITS);
+    workspace[56+col] = descale(tmp10 - tmp3, CONST_BITS - PASS1_BITS);
+    workspace[8+col]  = descale(tmp11 + tmp2, CONST_BITS - PASS1_BITS);
+    workspace[48+col] = descale(tmp11 - tmp2, CONST_BITS - PASS1_BITS);
+    workspace[16+col] = descale(tmp12 + tmp1, CONST_BITS - PASS1_BITS);
+    workspace[40+col] = descale(tmp12 - tmp1, CONST_BITS - PASS1_BITS);
+    workspace[24+col] = descale(tmp13 + tmp0, CONST_BITS - PASS1_BITS);
+    workspace[32+col] = descale(tmp13 - tmp0, CONST_BITS - PASS1_BITS);
+  }
+
+  /* Pass 2: process rows from work array, store into output
+   * Remove the scaling by 2^PASS1_BITS from pass 1, and a further factor of 8 */
+  for (var row = 0; row < 64; row += 8) {
+    if (!workspace[row+1] && !workspace[row+2] && !workspace[row+3] && !workspace[row+4] &&
+        !workspace[row+5] && !workspace[row+6] && !workspace[row+7]) {
+      samples.fill(descale(workspace[row], PASS1_BITS + 3), row, row + 8);
+      continue;
+    }
+
+    /* Even part */
+    var z2 = workspace[row+2];
+    var z3 = workspace[row+6];
+    var z1 = (z2 + z3) * FIX_0_541196100;
+    var tmp2 = z1 - (z3 * FIX_1_847759065);
+    var tmp3 = z1 + (z2 * FIX_0_765366865);
+
+    var tmp0 = (workspace[row] + workspace[row+4]) * (1 << CONST_BITS);
+    var tmp1 = (workspace[row] - workspace[row+4]) * (1 << CONST_BITS);
+
+    const tmp10 = tmp0 + tmp3;
+    const tmp13 = tmp0 - tmp3;
+    const tmp11 = tmp1 + tmp2;
+    const tmp12 = tmp1 - tmp2;
+
+    /* Odd part */
+    tmp0 = workspace[row+7];
+    tmp1 = workspace[row+5];
+    tmp2 = workspace[row+3];
+    tmp3 = workspace[row+1];
+
+    z1 = tmp0 + tmp3;
+    z2 = tmp1 + tmp2;
+    z3 = tmp0 + tmp2;
+    var z4 = tmp1 + tmp3;
+    const z5 = (z3 + z4) * FIX_1_175875602;
+
+    tmp0 *= FIX_0_298631336;
+    tmp1 *= FIX_2_053119869;
+    tmp2 *= FIX_3_072711026;
+    tmp3 *= FIX_1_501321110;
+    z1 *= -FIX_0_899976223;
+    z2 *= -FIX_2_562915447;
+    z3 = (z3 * -FIX_1_961570560) + z5;
+    z4 = (z4 * -FIX_0_390180644) + z5;
+
+    tmp0 += z1 + z3;
+    tmp1 += z2 + z4;
+    tmp2 += z2 + z3;
+    tmp3 += z1 + z4;
+
+    const n = CONST_BITS + PASS1_BITS + 3;
+    samples[row]   = descale(tmp10 + tmp3, n);
+    samples[row+7] = descale(tmp10 - tmp3, n);
+    samples[row+1] = descale(tmp11 + tmp2, n);
+    samples[row+6] = descale(tmp11 - tmp2, n);
+    samples[row+2] = descale(tmp12 + tmp1, n);
+    samples[row+5] = descale(tmp12 - tmp1, n);
+    samples[row+3] = descale(tmp13 + tmp0, n);
+    samples[row+4] = descale(tmp13 - tmp0, n);
+  }
+
+  return samples;
+}
+
+/* Less accurate integer IDCT, like libjpeg's 'ifast' method
+ * This uses the AA&N algorithm, with only 5 multiplications for each 1-dimensional IDCT,
+ * and fixed-point constants with only 8 fractional bits; results are often off by 1 or 2
+ *
+ * libjpeg multiplies each quantization value by the AA&N scaling factors ahead of time;
+ * since our coefficients are already dequantized, we scale each coefficient instead, so the
+ * results are not always exactly the same as libjpeg's */
+function fastIDCT(coefficients, precision=8, samples=new Int32Array(64)) {
+  const CONST_BITS = 8;
+  const PASS1_BITS = (precision === 8) ? 2 : 1;
+  const FIX_1_082392200 = 277;
+  const FIX_1_414213562 = 362;
+  const FIX_1_847759065 = 473;
+  const FIX_2_613125930 = 669;
+  const multiply = (value, constant) => (value * constant) >> CONST_BITS;
+  const input = intInput;
+  const workspace = intWorkspace;
+
+  /* Pass 1: process columns from input, store into work array
+   * The input is scaled up by 2^PASS1_BITS, along with the AA&N scaling factors */
+  for (var i = 0; i < 64; i++)
+    input[i] = coefficients[i] && descale(coefficients[i] * aanScales[i], 14 - PASS1_BITS);
+
+  for (var col = 0; col < 8; col++) {
+    if (!input[8+col] && !input[16+col] && !input[24+col] && !input[32+col] &&
+        !input[40+col] && !input[48+col] && !input[56+col]) {
+      for (var i = 0; i < 64; i += 8)
+        workspace[i+col] = input[col];
+      continue;
+    }
+
+    /* Even part */
+    var tmp0 = input[col];
+    var tmp1 = input[16+col];
+    var tmp2 = input[32+col];
+    var tmp3 = input[48+col];
+
+    var tmp10 = tmp0 + tmp2;
+    var tmp11 = tmp0 - tmp2;
+    var tmp13 = tmp1 + tmp3;
+    var tmp12 = multiply(tmp1 - tmp3, FIX_1_414213562) - tmp13;
+
+    tmp0 = tmp10 + tmp13;
+    tmp3 = tmp10 - tmp13;
+    tmp1 = tmp11 + tmp12;
+    tmp2 = tmp11 - tmp12;
+
+    /* Odd part */
+    const z13 = input[40+col] + input[24+col];
+    const z10 = input[40+col] - input[24+col];
+    const z11 = input[8+col] + input[56+col];
+    const z12 = input[8+col] - input[56+col];
+
+    const tmp7 = z11 + z13;
+    tmp11 = multiply(z11 - z13, FIX_1_414213562);
+    const z5 = multiply(z10 + z12, FIX_1_847759065);
+    tmp10 = multiply(z12, FIX_1_082392200) - z5;
+    tmp12 = multiply(z10, -FIX_2_613125930) + z5;
+
+    const tmp6 = tmp12 - tmp7;
+    const tmp5 = tmp11 - tmp6;
+    const tmp4 = tmp10 + tmp5;
+
+    workspace[col]    = tmp0 + tmp7;
+    workspace[56+col] = tmp0 - tmp7;
+    workspace[8+col]  = tmp1 + tmp6;
+    workspace[48+col] = tmp1 - tmp6;
+    workspace[16+col] = tmp2 + tmp5;
+    workspace[40+col] = tmp2 - tmp5;
+    workspace[32+col] = tmp3 + tmp4;
+    workspace[24+col] = tmp3 - tmp4;
+  }
+
+  /* Pass 2: process rows from work array, store into output
+   * Remove the scaling by 2^PASS1_BITS, and a further factor of 8; like libjpeg,
+   * we just discard the low bits rather than rounding */
+  const n = PASS1_BITS + 3;
+  for (var row = 0; row < 64; row += 8) {
+    /* Even part */
+    var tmp10 = workspace[row] + workspace[row+4];
+    var tmp11 = workspace[row] - workspace[row+4];
+    var tmp13 = workspace[row+2] + workspace[row+6];
+    var tmp12 = multiply(workspace[row+2] - workspace[row+6], FIX_1_414213562) - tmp13;
+
+    const tmp0 = tmp10 + tmp13;
+    const tmp3 = tmp10 - tmp13;
+    const tmp1 = tmp11 + tmp12;
+    const tmp2 = tmp11 - tmp12;
+
+    /* Odd part */
+    const z13 = workspace[row+5] + workspace[row+3];
+    const z10 = workspace[row+5] - workspace[row+3];
+    const z11 = workspace[row+1] + workspace[row+7];
+    const z12 = workspace[row+1] - workspace[row+7];
+
+    const tmp7 = z11 + z13;
+    tmp11 = multiply(z11 - z13, FIX_1_414213562);
+    const z5 = multiply(z10 + z12, FIX_1_847759065);
+    tmp10 = multiply(z12, FIX_1_082392200) - z5;
+    tmp12 = multiply(z10, -FIX_2_613125930) + z5;
+
+    const tmp6 = tmp12 - tmp7;
+    const tmp5 = tmp11 - tmp6;
+    const tmp4 = tmp10 + tmp5;
+
+    samples[row]   = (tmp0 + tmp7) >> n;
+    samples[row+7] = (tmp0 - tmp7) >> n;
+    samples[row+1] = (tmp1 + tmp6) >> n;
+    samples[row+6] = (tmp1 - tmp6) >> n;
+    samples[row+2] = (tmp2 + tmp5) >> n;
+    samples[row+5] = (tmp2 - tmp5) >> n;
+    samples[row+4] = (tmp3 + tmp4) >> n;
+    samples[row+3] = (tmp3 - tmp4) >> n;
+  }
+
+  return samples;
+}
+
+/* Constants used by `floatIDCT` */
+const SQRT2   = Math.SQRT2;
+const C_1_847 = 2 * Math.cos(Math.PI / 8);
+const C_1_082 = 2 * Math.SQRT2 * Math.cos(3 * Math.PI / 8);
+const C_2_613 = 2 * Math.SQRT2 * Math.cos(Math.PI / 8);
+
+/* Floating-point IDCT, like libjpeg's 'float' method
+ * This uses the same AA&N algorithm as `fastIDCT`, but without any rounding of intermediate
+ * results, so it is just as accurate as evaluating the IDCT formula directly (and much faster)
+ * Like `JPEG.inverseDCT`, the samples are not rounded to integers */
+function floatIDCT(coefficients, samples=new Float64Array(64)) {
+  const input = floatInput;
+  const workspace = floatWorkspace;
+
+  for (var i = 0; i < 64; i++)
+    input[i] = coefficients[i] * aanScaleFactors[i];
+
+  /* Pass 1: process columns from input, store into work array */
+  for (var col = 0; col < 8; col++) {
+    if (!input[8+col] && !input[16+col] && !input[24+col] && !input[32+col] &&
+        !input[40+col] && !input[48+col] && !input[56+col]) {
+      for (var i = 0; i < 64; i += 8)
+        workspace[i+col] = input[col];
+      continue;
+    }
+
+    /* Even part */
+    var tmp0 = input[col];
+    var tmp1 = input[16+col];
+    var tmp2 = input[32+col];
+    var tmp3 = input[48+col];
+
+    var tmp10 = tmp0 + tmp2;
+    var tmp11 = tmp0 - tmp2;
+    var tmp13 = tmp1 + tmp3;
+    var tmp12 = ((tmp1 - tmp3) * SQRT2) - tmp13;
+
+    tmp0 = tmp10 + tmp13;
+    tmp3 = tmp10 - tmp13;
+    tmp1 = tmp11 + tmp12;
+    tmp2 = tmp11 - tmp12;
+
+    /* Odd part */
+    const z13 = input[40+col] + input[24+col];
+    const z10 = input[40+col] - input[24+col];
+    const z11 = input[8+col] + input[56+col];
+    const z12 = input[8+col] - input[56+col];
+
+    const tmp7 = z11 + z13;
+    tmp11 = (z11 - z13) * SQRT2;
+    const z5 = (z10 + z12) * C_1_847;
+    tmp10 = (z12 * C_1_082) - z5;
+    tmp12 = (z10 * -C_2_613) + z5;
+
+    const tmp6 = tmp12 - tmp7;
+    const tmp5 = tmp11 - tmp6;
+    const tmp4 = tmp10 + tmp5;
+
+    workspace[col]    = tmp0 + tmp7;
+    workspace[56+col] = tmp0 - tmp7;
+    workspace[8+col]  = tmp1 + tmp6;
+    workspace[48+col] = tmp1 - tmp6;
+    workspace[16+col] = tmp2 + tmp5;
+    workspace[40+col] = tmp2 - tmp5;
+    workspace[32+col] = tmp3 + tmp4;
+    workspace[24+col] = tmp3 - tmp4;
+  }
+
+  /* Pass 2: process rows from work array, store into output, and remove the factor of 8 */
+  for (var row = 0; row < 64; row += 8) {
+    /* Even part */
+    var tmp10 = workspace[row] + workspace[row+4];
+    var tmp11 = workspace[row] - workspace[row+4];
+    var tmp13 = workspace[row+2] + workspace[row+6];
+    var tmp12 = ((workspace[row+2] - workspace[row+6]) * SQRT2) - tmp13;
+
+    const tmp0 = tmp10 + tmp13;
+    const tmp3 = tmp10 - tmp13;
+    const tmp1 = tmp11 + tmp12;
+    const tmp2 = tmp11 - tmp12;
+
+    /* Odd part */
+    const z13 = workspace[row+5] + workspace[row+3];
+    const z10 = workspace[row+5] - workspace[row+3];
+    const z11 = workspace[row+1] + workspace[row+7];
+    const z12 = workspace[row+1] - workspace[row+7];
+
+    const tmp7 = z11 + z13;
+    tmp11 = (z11 - z13) * SQRT2;
+    const z5 = (z10 + z12) * C_1_847;
+    tmp10 = (z12 * C_1_082) - z5;
+    tmp12 = (z10 * -C_2_613) + z5;
+
+    const tmp6 = tmp12 - tmp7;
+    const tmp5 = tmp11 - tmp6;
+    const tmp4 = tmp10 + tmp5;
+
+    samples[row]   = (tmp0 + tmp7) / 8;
+    samples[row+7] = (tmp0 - tmp7) / 8;
+    samples[row+1] = (tmp1 + tmp6) / 8;
+    samples[row+6] = (tmp1 - tmp6) / 8;
+    samples[row+2] = (tmp2 + tmp5) / 8;
+    samples[row+5] = (tmp2 - tmp5) / 8;
+    samples[row+4] = (tmp3 + tmp4) / 8;
+    samples[row+3] = (tmp3 - tmp4) / 8;
+  }
+
+  return samples;
+}
+
+/* Reduced-size IDCTs, for decoding an image at 1/2, 1/4, or 1/8 of its full size
+ *
+ * Each one takes the same 64 coefficients, but produces only 4x4, 2x2, or 1x1 samples. Those are
+ * the averages of each 2x2, 4x4, or 8x8 square of samples which the full IDCT would produce.
+ * Averaging cancels out some of the frequencies; for example, cos((2x+1)*4*PI/16) has opposite
+ * signs for each pair of samples x=0,1 x=2,3, and so on, so coefficients in row 4 or column 4
+ * make no difference to the 4x4 samples. Those coefficients are not even looked at.
+ *
+ * These are ports of the IDCTs in jidctred.c from libjpeg 6b, which libjpeg-turbo still uses for
+ * reduced-size decoding no matter which IDCT method was chosen. libjpeg 7 and later replaced
+ * them with the scaled IDCTs in jidctint.c, which are different code, so their samples may differ */
+
+/* Like `integerIDCT`, but producing 4x4 samples */
+function integerIDCT4x4(coefficients, precision=8, samples=new Int32Array(16)) {
+  const CONST_BITS = 13;
+  const PASS1_BITS = (precision === 8) ? 2 : 1;
+  const workspace = intWorkspace;
+
+  /* Pass 1: process columns from input, store 4 rows into work array
+   * Column 4 is not needed by pass 2 */
+  for (var col = 0; col < 8; col++) {
+    if (col === 4)
+      continue;
+    if (!coefficients[8+col] && !coefficients[16+col] && !coefficients[24+col] &&
+        !coefficients[40+col] && !coefficients[48+col] && !coefficients[56+col]) {
+      const dcValue = coefficients[col] << PASS1_BITS;
+      for (var i = 0; i < 32; i += 8)
+        workspace[i+col] = dcValue;
+      continue;
+    }
+
+    /* Even part */
+    const tmp0 = coefficients[col] * (1 << (CONST_BITS + 1));
+    const tmp2 = (coefficients[16+col] * FIX_1_847759065) - (coefficients[48+col] * FIX_0_765366865);
+    const tmp10 = tmp0 + tmp2;
+    const tmp12 = tmp0 - tmp2;
+
+    /* Odd part */
+    const z1 = coefficients[56+col];
+    const z2 = coefficients[40+col];
+    const z3 = coefficients[24+col];
+    const z4 = coefficients[8+col];
+    const odd0 = (z1 * -FIX_0_211164243) + (z2 * FIX_1_451774981) + (z3 * -FIX_2_172734803) + (z4 * FIX_1_061594337);
+    const odd2 = (z1 * -FIX_0_509795579) + (z2 * -FIX_0_601344887) + (z3 * FIX_0_899976223) + (z4 * FIX_2_562915447);
+
+    const n = CONST_BITS - PASS1_BITS + 1;
+    workspace[col]    = descale(tmp10 + odd2, n);
+    workspace[24+col] = descale(tmp10 - odd2, n);
+    workspace[8+col]  = descale(tmp12 + odd0, n);
+    workspace[16+col] = descale(tmp12 - odd0, n);
+  }
+
+  /* Pass 2: process 4 rows from work array, store into output */
+  for (var row = 0; row < 4; row++) {
+    const ws = row * 8;
+    if (!workspace[ws+1] && !workspace[ws+2] && !workspace[ws+3] &&
+        !workspace[ws+5] && !workspace[ws+6] && !workspace[ws+7]) {
+      samples.fill(descale(workspace[ws], PASS1_BITS + 3), row*4, row*4 + 4);
+      continue;
+    }
+
+    /* Even part */
+    const tmp0 = workspace[ws] * (1 << (CONST_BITS + 1));
+    const tmp2 = (workspace[ws+2] * FIX_1_847759065) - (workspace[ws+6] * FIX_0_765366865);
+    const tmp10 = tmp0 + tmp2;
+    const tmp12 = tmp0 - tmp2;
+
+    /* Odd part */
+    const z1 = workspace[ws+7];
+    const z2 = workspace[ws+5];
+    const z3 = workspace[ws+3];
+    const z4 = workspace[ws+1];
+    const odd0 = (z1 * -FIX_0_211164243) + (z2 * FIX_1_451774981) + (z3 * -FIX_2_172734803) + (z4 * FIX_1_061594337);
+    const odd2 = (z1 * -FIX_0_509795579) + (z2 * -FIX_0_601344887) + (z3 * FIX_0_899976223) + (z4 * FIX_2_562915447);
+
+    const n = CONST_BITS + PASS1_BITS + 3 + 1;
+    samples[row*4]   = descale(tmp10 + odd2, n);
+    samples[row*4+3] = descale(tmp10 - odd2, n);
+    samples[row*4+1] = descale(tmp12 + odd0, n);
+    samples[row*4+2] = descale(tmp12 - odd0, n);
+  }
+
+  return samples;
+}
+
+/* Like `integerIDCT`, but producing 2x2 samples; only the DC coefficient and the
+ * coefficients in odd-numbered rows and columns are used */
+function integerIDCT2x2(coefficients, precision=8, samples=new Int32Array(4)) {
+  const CONST_BITS = 13;
+  const PASS1_BITS = (precision === 8) ? 2 : 1;
+  const workspace = intWorkspace;
+
+  /* Pass 1: process columns 0, 1, 3, 5, and 7 from input, store 2 rows into work array */
+  for (var col = 0; col < 8; col++) {
+    if (col === 2 || col === 4 || col === 6)
+      continue;
+    if (!coefficients[8+col] && !coefficients[24+col] && !coefficients[40+col] && !coefficients[56+col]) {
+      workspace[col] = workspace[8+col] = coefficients[col] << PASS1_BITS;
+      continue;
+    }
+
+    const even = coefficients[col] * (1 << (CONST_BITS + 2));
+    const odd  = (coefficients[56+col] * -FIX_0_720959822) + (coefficients[40+col] * FIX_0_850430095) +
+                 (coefficients[24+col] * -FIX_1_272758580) + (coefficients[8+col] * FIX_3_624509785);
+
+    workspace[col]   = descale(even + odd, CONST_BITS - PASS1_BITS + 2);
+    workspace[8+col] = descale(even - odd, CONST_BITS - PASS1_BITS + 2);
+  }
+
+  /* Pass 2: process 2 rows from work array, store into output */
+  for (var row = 0; row < 2; row++) {
+    const ws = row * 8;
+    if (!workspace[ws+1] && !workspace[ws+3] && !workspace[ws+5] && !workspace[ws+7]) {
+      samples[row*2] = samples[row*2+1] = descale(workspace[ws], PASS1_BITS + 3);
+      continue;
+    }
+
+    const even = workspace[ws] * (1 << (CONST_BITS + 2));
+    const odd  = (workspace[ws+7] * -FIX_0_720959822) + (workspace[ws+5] * FIX_0_850430095) +
+                 (workspace[ws+3] * -FIX_1_272758580) + (workspace[ws+1] * FIX_3_624509785);
+
+    const n = CONST_BITS + PASS1_BITS + 3 + 2;
+    samples[row*2]   = descale(even + odd, n);
+    samples[row*2+1] = descale(even - odd, n);
+  }
+
+  return samples;
+}
+
+/* The 1x1 'IDCT' is just the average of all 64 samples, which only depends on the DC coefficient */
+function integerIDCT1x1(coefficients, samples=new Int32Array(1)) {
+  samples[0] = descale(coefficients[0], 3);
+  return samples;
+}
+
+/* `reducedBasis.get(size)[x*8 + u]` is the average of the 1-dimensional IDCT basis function
+ * C(u)/2 * cos((2k+1)*u*PI/16) over the `8/size` full-size samples k which are covered by
+ * reduced-size sample x; C(0) = 1/sqrt(2) and C(u) = 1 otherwise */
+const reducedBasis = new Map([4, 2, 1].map((size) => {
+  const basis = new Float64Array(size * 8);
+  const ratio = 8 / size;
+  for (var x = 0; x < size; x++) {
+    for (var u = 0; u < 8; u++) {
+      const cu = (u === 0) ? (1 / Math.SQRT2) : 1;
+      var sum = 0;
+      for (var k = x * ratio; k < (x + 1) * ratio; k++)
+        sum += cu / 2 * Math.cos((2*k + 1) * u * Math.PI / 16);
+      basis[x*8 + u] = sum / ratio;
+    }
+  }
+  return [size, basis];
+}));
+
+/* Floating-point reduced-size IDCT, producing `size` x `size` samples (`size` is 4, 2, or 1)
+ * This just multiplies by `reducedBasis`, first for each column and then for each row;
+ * that is fast enough since there are so few samples to compute */
+function reducedFloatIDCT(coefficients, size, samples=new Float64Array(size * size)) {
+  const basis = reducedBasis.get(size);
+  const workspace = floatWorkspace;
+
+  /* Pass 1: process columns from input, store `size` rows into work array */
+  for (var col = 0; col < 8; col++) {
+    for (var y = 0; y < size; y++) {
+      var sum = 0;
+      for (var v = 0; v < 8; v++)
+        sum += basis[y*8 + v] * coefficients[v*8 + col];
+      workspace[y*8 + col] = sum;
+    }
+  }
+
+  /* Pass 2: process rows from work array, store into output */
+  for (var y = 0; y < size; y++) {
+    for (var x = 0; x < size; x++) {
+      var sum = 0;
+      for (var u = 0; u < 8; u++)
+        sum += basis[x*8 + u] * workspace[y*8 + u];
+      samples[y*size + x] = sum;
+    }
+  }
+
+  return samples;
+}
+
+module.exports.integerIDCT      = integerIDCT;
+module.exports.fastIDCT         = fastIDCT;
+module.exports.floatIDCT        = floatIDCT;
+module.exports.integerIDCT4x4   = integerIDCT4x4;
+module.exports.integerIDCT2x2   = integerIDCT2x2;
+module.exports.integerIDCT1x1   = integerIDCT1x1;
+module.exports.reducedFloatIDCT = reducedFloatIDCT;
@@ -7,19 +7,12 @@ const jpg = new JPEG();
 const filename = process.argv[2];
 const data = fs.readFileSync(filename);
 
-var i = 0;
-while (true) {
-  i = data.indexOf(0xFF, i+1);
-  if (i == -1)
-    break;
+for (const segment of JPEG.segments(data)) {
+  const i = segment.index;
+  const marker = segment.marker;
 
-  const marker = data[i+1];
-
-  if (marker === 0xFF)
-    continue; /* The previous 0xFF byte was a fill byte */
-
-  if (marker === 0)
-    continue; /* 'Byte-stuffing' for entropy-encoded data */
+  if (marker === null)
+    continue; /* Entropy-coded data */
 
   const type = JPEG.markers.get(marker);
   const offset = `0x${i.toString(16).padStart(6, '0')}`;
@@ -56,7 +49,12 @@ while (true) {
 
     case 0xDB: /* Quantization Tables */
       console.log(`${offset}: Quantization tables`);
-      i = jpg.dumpQuantizationSegment(data, i) - 1;
+      jpg.dumpQuantizationSegment(data, i);
+      break;
+
+    case 0xDC: /* Define Number of Lines */
+      console.log(`${offset}: Define Number of Lines`);
+      jpg.dumpNumberOfLines(data, i);
       break;
 
     case 0xDD: /* Define Restart Interval */
@@ -64,6 +62,16 @@ while (true) {
       jpg.dumpRestartInterval(data, i);
       break;
 
+    case 0xDE: /* Define Hierarchical Progression */
+      console.log(`${offset}: Define Hierarchical Progression`);
+      jpg.dumpHierarchicalProgression(data, i);
+      break;
+
+    case 0xDF: /* Expand Reference Components */
+      console.log(`${offset}: Expand Reference Components`);
+      jpg.dumpExpandSegment(data, i);
+      break;
+
     case 0xE0: /* JFIF header */
       console.log(`${offset}: JFIF header`);
       jpg.dumpJfifHeader(data, i);
@@ -85,13 +93,7 @@ while (true) {
       break;
 
     case 0xFE: /* Comment */
-      const commentEnd = data.indexOf(0xFF, i+2);
-      /* I found a comment which started with 0x00 0x0D... the use of index `i+4`
-       * below is intended to skip over those bytes */
-      if (commentEnd !== -1)
-        console.log(`${offset}: Comment: ${data.toString('utf8', i+4, commentEnd)}`);
-      else
-        console.log(`${offset}: Malformed comment`);
+      console.log(`${offset}: Comment: ${jpg.readComment(data, i)}`);
       break;
 
     default:
@@ -9,14 +9,15 @@ const colorEscape = require('./ansi-escapes.js').colorEscape24Bit;
 const filename = process.argv[2];
 const data = fs.readFileSync(filename);
 
-const [jpg, raster] = JPEG.fromBytes(data);
+const image = JPEG.decode(data);
+const raster = image.data;
 
-const displayWidth = Math.min(jpg.frameData.width, process.stdout.columns || 80);
-const displayHeight = Math.min(jpg.frameData.height, process.stdout.rows-1 || 30);
+const displayWidth = Math.min(image.width, process.stdout.columns || 80);
+const displayHeight = Math.min(image.height, process.stdout.rows-1 || 30);
 
 for (var y = 0; y < displayHeight; y++) {
   for (var x = 0; x < displayWidth; x++) {
-    const rasterIndex = ((y * jpg.frameData.width) + x) * 3;
+    const rasterIndex = ((y * image.width) + x) * image.channels;
     const r = raster[rasterIndex];
     const g = raster[rasterIndex+1];
     const b = raster[rasterIndex+2];
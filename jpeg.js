@@ -2,6 +2,7 @@
 
 const huffman = require('./huffman.js');
 const arithmetic = require('./arithmetic.js');
+const idct = require('./idct.js');
 const exif = require('./exif.js');
 
 class JPEG {
@@ -36,6 +37,8 @@ class JPEG {
     [0xDB, 'Define Quantization Tables'],
     [0xDC, 'Define Number of Lines'],
     [0xDD, 'Define Restart Interval'],
+    [0xDE, 'Define Hierarchical Progression'],
+    [0xDF, 'Expand Reference Components'],
     [0xE0, 'Application-Specific (JFIF header)'],
     [0xE1, 'Application-Specific (EXIF header)'],
     [0xE2, 'Application-Specific (ICC color profile)'],
@@ -43,108 +46,329 @@ class JPEG {
     [0xFE, 'Comment']
   ]);
 
+  /* Color spaces which we can convert to RGB -> number of image components */
+  static colorSpaces = new Map([
+    ['grayscale', 1],
+    ['YCbCr', 3],
+    ['RGB', 3],
+    ['CMYK', 4],
+    ['YCCK', 4]
+  ]);
+
+  /* Layouts which a decoded image can be returned in -> number of samples per pixel
+   * (There is also 'planes', which returns one array of samples for each component) */
+  static rasterFormats = new Map([
+    ['rgb', 3],
+    ['rgba', 4],
+    ['grayscale', 1],
+    ['cmyk', 4]
+  ]);
+
+  /* Color space of the samples in each raster format */
+  static rasterColorSpaces = new Map([
+    ['rgb', 'RGB'],
+    ['rgba', 'RGBA'],
+    ['grayscale', 'grayscale'],
+    ['cmyk', 'CMYK']
+  ]);
+
   static densityFields = new Map([
     [0, 'no units'],
     [1, 'pixels per inch'],
     [2, 'pixels per cm']
   ]);
 
-  static fromBytes = function(buffer) {
-    const jpg = new JPEG();
-
-    var i = 0;
+  /* Find each marker in a JPEG file, and the segment of data which goes with it
+   *
+   * Most markers are followed by a 2-byte length, which we use to skip over the rest of the
+   * segment, so any 0xFF bytes inside it (for example, in an ICC color profile, or an EXIF
+   * thumbnail which is a JPEG image itself) are not mistaken for markers. A few markers
+   * (SOI, EOI, RSTn, and TEM) stand alone, without a length field or any data.
+   *
+   * Each scan header is followed by entropy-coded data, which has no length field. It ends at
+   * the next marker other than a restart marker; any 0xFF byte within the entropy-coded data
+   * is followed by a 'stuffed' 0x00 byte, so it can't be confused with a marker.
+   *
+   * Yields objects like { marker, index, end }, where `index` is the position of the 0xFF byte
+   * which starts the marker, and `end` is the position just past the end of the segment.
+   * For each run of entropy-coded data (between the scan header and a restart marker, between
+   * two restart markers, etc), `marker` is null. */
+  static segments = function*(buffer) {
+    var index = 0;
     while (true) {
-      i = buffer.indexOf(0xFF, i+1); /* Scan for marker */
-      if (i == -1)
-        break; /* Reached the end */
+      /* Skip over any garbage before the next marker, and any 'fill bytes' (0xFF bytes which
+       * may be used as padding before a marker) */
+      index = buffer.indexOf(0xFF, index);
+      if (index === -1)
+        return;
+      while (buffer[index+1] === 0xFF)
+        index++;
+      if (index + 1 >= buffer.length)
+        return;
+
+      const marker = buffer[index+1];
+      if (marker === 0) {
+        index += 2; /* Not a marker */
+        continue;
+      }
 
-      const marker = buffer[i+1];
-      if (marker === 0xFF || marker === 0) {
-        i++;
+      if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) {
+        yield { marker: marker, index: index, end: index + 2 };
+        if (marker === 0xD9) /* End of Image */
+          return;
+        index += 2;
         continue;
       }
 
+      const end = index + 2 + (index + 4 <= buffer.length ? buffer.readUInt16BE(index+2) : 0);
+      if (end < index + 4 || end > buffer.length)
+        throw new Error(`Truncated or invalid segment for marker 0x${marker.toString(16)} at offset ${index}`);
+      yield { marker: marker, index: index, end: end };
+      index = end;
+
+      if (marker === 0xDA) {
+        /* Start of Scan; skip over the entropy-coded data */
+        while (true) {
+          var ecsEnd = buffer.indexOf(0xFF, index);
+          while (ecsEnd !== -1 && buffer[ecsEnd+1] === 0) /* byte stuffing */
+            ecsEnd = buffer.indexOf(0xFF, ecsEnd+2);
+          if (ecsEnd === -1)
+            ecsEnd = buffer.length;
+          yield { marker: null, index: index, end: ecsEnd };
+
+          var next = ecsEnd;
+          while (buffer[next+1] === 0xFF)
+            next++;
+          if (buffer[next+1] >= 0xD0 && buffer[next+1] <= 0xD7) {
+            yield { marker: buffer[next+1], index: next, end: next + 2 };
+            index = next + 2;
+          } else {
+            index = ecsEnd;
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  /* Get a list of all the segments in a JPEG file, in the order they appear, without
+   * decoding the image data
+   *
+   * Each entry has:
+   * `marker`: The byte which follows 0xFF, or null for entropy-coded data
+   * `type`: A description of the marker, from `JPEG.markers` (or 'Entropy-coded data')
+   * `offset`: Position in `buffer` of the marker (or the first byte of entropy-coded data)
+   * `length`: Number of bytes from `offset` to the end of the segment
+   * `content`: The segment's contents, as returned by `readSegment` (if any)
+   * `payload`: The bytes following the marker and length field, or for entropy-coded data,
+   *   the data itself (including byte stuffing); shares memory with `buffer` */
+  static parseSegments = function(buffer) {
+    const jpg = new JPEG();
+    const result = [];
+
+    for (const { marker, index, end } of JPEG.segments(buffer)) {
+      if (marker === null) {
+        result.push({ marker: null, type: 'Entropy-coded data', offset: index, length: end - index, content: undefined, payload: buffer.subarray(index, end) });
+      } else {
+        const hasLength = end > index + 2;
+        result.push({
+          marker: marker,
+          type: JPEG.markers.get(marker),
+          offset: index,
+          length: end - index,
+          content: hasLength ? jpg.readSegment(buffer, index) : undefined,
+          payload: buffer.subarray(hasLength ? index + 4 : end, end)
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /* Read just enough of a JPEG file to describe the image, stopping at the first scan header
+   * (so no image data is decoded)
+   *
+   * For hierarchical JPEGs, the size and components are those of the final image, as given by
+   * the DHP segment, rather than the first frame. If the frame header gives a height of 0, the
+   * real height is in a DNL segment after the first scan, and `height` will be 0 */
+  static probe = function(buffer) {
+    const jpg = new JPEG();
+    const applicationSegments = [];
+    var frame;
+
+    for (const segment of JPEG.segments(buffer)) {
+      const i = segment.index, marker = segment.marker;
+
+      if (marker >= 0xE0 && marker <= 0xEF) {
+        /* By convention, APPn segments start with a zero-terminated identifier string */
+        const terminator = buffer.indexOf(0, i+4);
+        const identifier = buffer.toString('binary', i+4, (terminator === -1 || terminator > segment.end) ? segment.end : terminator);
+        applicationSegments.push({ marker: marker, identifier: identifier, offset: i, length: segment.end - i });
+      }
+
       switch (marker) {
         case 0xC0: case 0xC1: case 0xC2: case 0xC3:
         case 0xC5: case 0xC6: case 0xC7: case 0xC8:
         case 0xC9: case 0xCA: case 0xCB: case 0xCD:
         case 0xCE: case 0xCF:
-          jpg.handleFrameHeader(buffer, i);
-          jpg.initCoefficientsArray();
+          frame = jpg.readFrameHeader(buffer, i);
           break;
-
-        case 0xC4:
-          /* TODO: skip over */
-          jpg.handleHuffmanSegment(buffer, i);
-          break;
-
-        case 0xCC:
-          /* TODO: skip over */
-          jpg.handleConditioningSegment(buffer, i);
+        case 0xDD:
+          jpg.handleRestartInterval(buffer, i);
           break;
-
-        case 0xD8: /* Start of Image */
-          jpg.restartInterval = 0;
+        case 0xDE:
+          jpg.handleHierarchicalProgression(buffer, i);
           break;
-
-        case 0xDA:
-          if (jpg.frameData.progressive) {
-            jpg.readProgressiveScan(buffer, i);
-          } else {
-            jpg.readBaselineScan(buffer, i);
-          }
+        case 0xE0:
+          jpg.handleJfifHeader(buffer, i);
           break;
-
-        case 0xDB:
-          i = jpg.handleQuantizationSegment(buffer, i) - 1;
-          break;
-
-        case 0xDD:
-          jpg.handleRestartInterval(buffer, i);
+        case 0xEE:
+          jpg.handleAdobeColorProfile(buffer, i);
           break;
       }
-    }
 
-    /* Now convert all coefficient blocks to natural (rather than zig-zag) order */
-    for (const component of jpg.frameData.components) {
-      const coeffs = jpg.coefficients[component.id-1];
-      for (const coeffRow of coeffs) {
-        for (const coeffBlock of coeffRow) {
-          const quantTable = jpg.quantTables[component.quantTable].values;
-          /* Overwrite block with dequantized and reordered coefficients */
-          coeffBlock.splice(0, 64, ...jpg.inverseZigzagOrder(jpg.dequantizeCoefficients(coeffBlock, quantTable)));
-        }
-      }
+      if (marker === 0xDA)
+        break;
     }
 
-    /* Assemble blocks of coefficients from each component into interleaved MCU-size groups,
-     * use the inverse DCT to convert to color samples, and enter these samples in the raster */
-    const raster = Buffer.alloc(3 * jpg.frameData.width * jpg.frameData.height);
-    const dummyBlock = new Array(64).fill(0);
-    for (var mcuNumber = 0; mcuNumber < jpg.totalMcus; mcuNumber++) {
-      const mcuRow = Math.floor(mcuNumber / jpg.mcusPerRow);
-      const mcuCol = mcuNumber % jpg.mcusPerRow;
-      const mcu    = [];
-
-      for (const component of jpg.frameData.components) {
-        const coeffs = jpg.coefficients[component.id-1];
-        for (var blockRow = 0; blockRow < component.vertSampling; blockRow++) {
-          for (var blockCol = 0; blockCol < component.horizSampling; blockCol++) {
-            const row = coeffs[(mcuRow * component.vertSampling) + blockRow];
-            if (!row) {
-              mcu.push(dummyBlock);
-            } else {
-              const block = row[(mcuCol * component.horizSampling) + blockCol];
-              mcu.push((block && jpg.inverseDCT(block)) || dummyBlock);
-            }
-          }
-        }
-      }
+    if (!frame)
+      throw new Error("No frame header found");
 
-      jpg.paintPixels(raster, mcu, jpg.frameData.components, mcuNumber);
-    }
+    const { width, height, components } = jpg.hierarchy || frame;
+    return {
+      width: width,
+      height: height,
+      precision: frame.precision,
+      components: components.map((c) => ({ id: c.id, horizSampling: c.horizSampling, vertSampling: c.vertSampling })),
+      sampling: jpg.samplingLabel(components),
+      colorSpace: [1, 3, 4].includes(components.length) ? jpg.inferColorSpace(components, frame.lossless) : undefined,
+      mode: frame.lossless ? 'lossless' : frame.progressive ? 'progressive' : frame.extended ? 'extended' : 'baseline',
+      coding: frame.coding,
+      progressive: frame.progressive,
+      lossless: frame.lossless,
+      hierarchical: !!jpg.hierarchy,
+      restartInterval: jpg.restartInterval,
+      applicationSegments: applicationSegments
+    };
+  }
+
+  /* Decode a JPEG image
+   *
+   * Returns an object with:
+   * `width`, `height`: Size of the image in pixels
+   * `format`: Layout of `data`; see the `format` option
+   * `channels`: Number of samples per pixel in `data` (or for 'planes', the number of planes)
+   * `colorSpace`: Color space of the samples in `data` ('RGB', 'RGBA', 'grayscale', or 'CMYK';
+   *   for 'planes', the same as `encodedColorSpace`)
+   * `encodedColorSpace`: Color space which the samples were stored in, like 'YCbCr' or 'grayscale'
+   * `bitDepth`: Number of bits per sample in `data`
+   * `stride`: Number of array elements from the start of one row of pixels in `data` to the next
+   * `data`: One row of pixels after another, with `channels` samples for each pixel
+   *   (for 'planes', an array of objects with `id`, `width`, `height`, `horizSampling`,
+   *   `vertSampling`, and `data`, which has one sample for each position in the plane)
+   * `metadata`: Contents of the JFIF, EXIF, ICC, and Adobe segments, and any comments
+   *   (the parts of the ICC color profile are put together, and returned as a Buffer)
+   *
+   * Options:
+   * `uint16`: Return a Uint16Array raster, with samples at the precision of the image (which may
+   *   be up to 12 bits for DCT-based JPEGs, or 16 bits for lossless ones)
+   *   Otherwise, samples from DCT-based JPEGs are scaled to 8 bits and returned in a Buffer;
+   *   lossless JPEGs with more than 8 bits per sample always use a Uint16Array
+   * `format`: One of:
+   *   'rgb' (the default): 3 samples (R, G, B) per pixel
+   *   'rgba': 4 samples per pixel, where A is always the maximum value (fully opaque)
+   *   'grayscale': 1 sample per pixel; for grayscale and YCbCr images, this is just the Y
+   *     component, so no color conversion is needed
+   *   'cmyk': For CMYK and YCCK images only, 4 samples (C, M, Y, K) per pixel. 0 means no ink and
+   *     the maximum value means full ink, even if the image data is inverted (as it is in files
+   *     written by Adobe software)
+   *   'planes': The samples for each component at its own resolution, without any upsampling
+   *     or color conversion (so for YCbCr images, separate Y, Cb, and Cr planes)
+   * `cmyk`: Use the 'cmyk' format if the image is CMYK or YCCK, and 'rgb' if not
+   * `output`: Store the image in this Uint8Array (or Buffer, or Uint8ClampedArray) rather than
+   *   allocating a new raster; it must be a Uint16Array if samples are more than 8 bits
+   * `stride`: Number of array elements from the start of one row of pixels to the next;
+   *   by default, rows are packed together with no padding
+   * `colorSpace`: One of the keys of `JPEG.colorSpaces`; use this rather than the color space
+   *   which would be inferred from the JFIF and Adobe segments and the component IDs
+   * `idct`: How to compute the inverse DCT (see idct.js); one of:
+   *   'exact' (the default): Evaluate the IDCT formula directly; slow
+   *   'float': Floating-point AA&N algorithm; as accurate as 'exact', but much faster
+   *   'islow': Integer arithmetic; gives exactly the same samples as libjpeg's default IDCT
+   *   'ifast': Integer AA&N algorithm with less precision, like libjpeg's 'ifast'; samples may be
+   *     off by 1 or 2 (in JavaScript, it is not actually faster than 'float')
+   * `scale`: Decode the image at 1/2, 1/4, or 1/8 of its full width and height (rounded up),
+   *   which is much faster than decoding it at full size and then shrinking it; a reduced-size
+   *   IDCT produces just 4x4, 2x2, or 1x1 samples for each block. Only for non-hierarchical,
+   *   DCT-based JPEGs
+   * `region`: Decode only part of the image, given as { x, y, width, height } (in pixels, at the
+   *   chosen `scale`); the raster covers just that rectangle. Entropy-coded data after the region
+   *   is not decoded at all, and if the image has restart markers, neither is any restart
+   *   interval which ends before the region. Only for non-hierarchical, DCT-based JPEGs, and
+   *   not for the 'planes' format
+   * `onScan`: A function which is called after each scan is decoded, for showing a preview
+   *   while a progressive JPEG is still being decoded. It is passed an object with:
+   *   `components`: IDs of the image components in the scan
+   *   `spectralStart`, `spectralEnd`: The range of coefficients (in zig-zag order) in the scan
+   *   `approxBitHigh`: 0 for the first scan which covers those coefficients; otherwise, this
+   *     is the `approxBitLow` of the previous one (a refinement scan adds one more bit)
+   *   `approxBitLow`: After this scan, the coefficients are known except for their lowest
+   *     `approxBitLow` bits
+   *   `render`: Returns the image, as decoded so far, in the same form as `JPEG.decode`
+   *     (with all the same options except `output`); coefficients which have not been decoded
+   *     yet are taken to be zero, and missing low-order bits are taken to be zero as well
+   *   Sequential scans cover all the coefficients at full precision (0 to 63, and bit 0).
+   *   Not called for hierarchical or lossless JPEGs */
+  static decode = function(buffer, options = {}) {
+    const jpg = new JPEG();
+    return jpg.describeRaster(jpg.decodeImage(buffer, options));
+  }
+
+  /* Read the DCT coefficients for each component, without using the inverse DCT to convert
+   * them to samples
+   *
+   * Returns an object with:
+   * `width`, `height`, `precision`: From the frame header
+   * `quantTables`: The quantization tables defined in the file, indexed by table number, with
+   *   the values for each table in natural (not zig-zag) order. If a table was redefined, this
+   *   is the last definition
+   * `components`: One entry for each component, in the same order as the frame header, with:
+   *   `id`, `horizSampling`, `vertSampling`: From the frame header
+   *   `blocksPerRow`, `blocksPerCol`: Number of 8x8 blocks which contain samples from the image
+   *   `quantTable`: Number of the quantization table used for this component
+   *   `quantValues`: Values from that table as they were when the first scan for this component
+   *     was decoded (in natural order). This is what was used to quantize the coefficients
+   *   `coefficients`: 64 coefficients for each block, in natural order; blocks are stored from
+   *     left to right, then top to bottom, so block (row, col) starts at
+   *     `(row * blocksPerRow + col) * 64`
+   *
+   * Options:
+   * `dequantize`: Multiply each coefficient by the corresponding quantization value. The
+   *   coefficients are returned in an Int32Array; otherwise they are quantized (as they are
+   *   stored in the file) and returned in an Int16Array, or an Int32Array for 12-bit JPEGs.
+   *   If a progressive JPEG does not include the low-order bits of some coefficients,
+   *   dequantization makes up for them */
+  static readCoefficients = function(buffer, options = {}) {
+    const jpg = new JPEG();
+    jpg.readDatastream(buffer);
+    if (jpg.hierarchy || jpg.frameData.lossless)
+      throw new Error("Only non-hierarchical, DCT-based JPEGs have DCT coefficients");
 
-    return [jpg, raster];
+    return {
+      width: jpg.frameData.width,
+      height: jpg.frameData.height,
+      precision: jpg.frameData.precision,
+      quantTables: jpg.quantTables.map((table) => table && Uint16Array.from(jpg.inverseZigzagOrder(table.values))),
+      components: jpg.componentCoefficients(options.dequantize)
+    };
+  }
+
+  /* Like `JPEG.decode`, but returns [jpg, raster], where `jpg` holds the internal state
+   * of the decoder (which can be used to get at the frame header, coefficients, etc)
+   * If the `region` option is used, only the coefficients needed for that region are decoded */
+  static fromBytes = function(buffer, options = {}) {
+    const jpg = new JPEG();
+    return [jpg, jpg.decodeImage(buffer, options)];
   }
 
   constructor() {
@@ -156,6 +380,9 @@ class JPEG {
     this.acStats = [];
     this.quantTables = [];
     this.coefficients = [];
+    this.samples = []; /* For lossless images */
+    this.dummyCoefficients = new Int32Array(64); /* Scratch space for decoding and dequantizing blocks */
+    this.dequantizedBlock = new Int32Array(64);
     this.frameData = undefined;
     this.maxHorizSampling = undefined;
     this.maxVertSampling = undefined;
@@ -164,6 +391,328 @@ class JPEG {
     this.totalMcus = undefined;
     this.mcusPerRow = undefined;
     this.restartInterval = 0;
+    this.hierarchy = undefined; /* For hierarchical images */
+    this.expansion = undefined;
+    this.levels = [];
+    this.adobe = undefined; /* Adobe color encoding, if specified */
+    this.jfif = undefined; /* JFIF header, if present */
+    this.exif = undefined; /* EXIF data, if present */
+    this.iccChunks = []; /* ICC color profile, which may be split over several segments */
+    this.comments = [];
+    this.idctMethod = 'exact';
+    this.idctSize = 8; /* Width and height of the blocks of samples produced by the IDCT */
+    this.region = undefined; /* Part of the image to decode, if not all of it */
+    this.onScan = undefined; /* Callback for each scan which is decoded */
+    this.renderOptions = undefined; /* Options for rendering the image after each scan */
+    this.colorSpace = undefined;
+  }
+
+  /* Decode image data, and return a raster as described for `JPEG.decode` */
+  decodeImage(buffer, options) {
+    this.readDecodeOptions(options);
+    this.readDatastream(buffer);
+    return this.paintImage(this.prepareOutput(options), options);
+  }
+
+  /* Wrap raster `data` in an object, as returned by `JPEG.decode` */
+  describeRaster(data) {
+    const [width, height] = this.outputSize();
+    return {
+      width: width,
+      height: height,
+      format: this.rasterFormat,
+      channels: this.rasterChannels,
+      colorSpace: JPEG.rasterColorSpaces.get(this.rasterFormat) || this.colorSpace,
+      encodedColorSpace: this.colorSpace,
+      bitDepth: this.samplePrecision - this.rasterShift,
+      stride: this.rasterStride,
+      data: data,
+      metadata: {
+        jfif: this.jfif,
+        exif: this.exif,
+        icc: this.iccProfile(),
+        adobe: this.adobe,
+        comments: this.comments
+      }
+    };
+  }
+
+  /* Check the options for `JPEG.decode` which are needed before reading the image data */
+  readDecodeOptions(options) {
+    if (options.idct !== undefined) {
+      if (!JPEG.idctMethods.has(options.idct))
+        throw new Error(`Unknown IDCT method ${options.idct}`);
+      this.idctMethod = options.idct;
+    }
+    if (options.scale !== undefined) {
+      if (!JPEG.scales.has(options.scale))
+        throw new Error(`Unsupported scale ${options.scale}; must be 1, 1/2, 1/4, or 1/8`);
+      this.idctSize = JPEG.scales.get(options.scale);
+    }
+    if (options.region !== undefined) {
+      const { x, y, width, height } = options.region;
+      if (![x, y, width, height].every(Number.isInteger) || x < 0 || y < 0 || width < 1 || height < 1)
+        throw new Error("Region must have integer x and y (0 or more), and width and height (1 or more)");
+      if (options.format === 'planes')
+        throw new Error("The 'planes' format cannot be used with a region");
+      this.region = { x: x, y: y, width: width, height: height };
+    }
+    if (options.onScan !== undefined) {
+      if (typeof options.onScan !== 'function')
+        throw new Error("The onScan option must be a function");
+      this.onScan = options.onScan;
+      /* Each rendering gets a new raster; the one in `output` is only for the finished image */
+      this.renderOptions = Object.assign({}, options, { output: undefined });
+    }
+  }
+
+  /* After the frame header (and any JFIF or Adobe segments) have been read, check whether the
+   * options for `JPEG.decode` can be used for this image, choose the color space, and
+   * return the raster format which should be used */
+  prepareOutput(options) {
+    if (this.idctSize !== 8 && (this.hierarchy || this.frameData.lossless))
+      throw new Error("Scaled decoding is only supported for non-hierarchical, DCT-based JPEGs");
+    if (this.region) {
+      if (this.hierarchy || this.frameData.lossless)
+        throw new Error("Decoding a region is only supported for non-hierarchical, DCT-based JPEGs");
+      const { x, y, width, height } = this.region;
+      if (x + width > this.scaledSize(this.frameData.width) || y + height > this.scaledSize(this.frameData.height))
+        throw new Error(`Region ${width}x${height} at (${x},${y}) does not fit in ${this.scaledSize(this.frameData.width)}x${this.scaledSize(this.frameData.height)} image`);
+    }
+
+    const components = this.hierarchy ? this.hierarchy.components : this.frameData.components;
+    this.colorSpace = options.colorSpace || this.inferColorSpace(components, this.frameData.lossless);
+    if (JPEG.colorSpaces.get(this.colorSpace) !== components.length)
+      throw new Error(`Color space ${this.colorSpace} cannot be used for an image with ${components.length} components`);
+    return this.selectRasterFormat(options);
+  }
+
+  /* A scan which starts at `buffer[index]` has been decoded; report it to the `onScan` callback
+   * (if any), with a function which can render the image as it is so far */
+  scanDecoded(buffer, index) {
+    if (!this.onScan || this.hierarchy || this.frameData.lossless)
+      return;
+    const header = this.readScanHeader(buffer, index);
+    const options = this.renderOptions;
+    this.onScan({
+      components: header.components.map((component) => component.id),
+      spectralStart: header.spectralStart || 0,
+      spectralEnd: (header.spectralEnd === undefined) ? 63 : header.spectralEnd,
+      approxBitHigh: header.approxBitHigh || 0,
+      approxBitLow: header.approxBitLow || 0,
+      render: () => this.describeRaster(this.paintImage(this.prepareOutput(options), options))
+    });
+  }
+
+  /* Convert the image data which has been decoded to a raster, in `format` */
+  paintImage(format, options) {
+    if (this.hierarchy) {
+      /* For hierarchical JPEGs, each frame has already been decoded to samples
+       * (except for the last one) and added to the frames which came before it */
+      this.finishHierarchicalFrame();
+      return this.paintHierarchicalImage(format, options);
+    }
+
+    if (this.frameData.lossless) {
+      /* No DCT is used for lossless JPEGs; the samples were already reconstructed
+       * as each scan was read */
+      const { width, height, precision } = this.frameData;
+      const planes = this.componentPlanesFromSamples();
+      if (format === 'planes')
+        return this.paintComponentPlanes(planes, precision, options.uint16 || precision > 8);
+      const raster = this.createRaster(width, height, precision, options.uint16 || precision > 8, format, options.output, options.stride);
+      return this.paintPlanes(raster, planes, width, height);
+    }
+
+    if (format === 'planes')
+      return this.paintComponentPlanes(this.componentPlanesFromCoefficients(), this.frameData.precision, options.uint16);
+
+    /* Assemble blocks of coefficients from each component into interleaved MCU-size groups,
+     * use the inverse DCT to convert to color samples, and enter these samples in the raster
+     *
+     * The same arrays of samples are used for every MCU, so nothing needs to be allocated
+     * for each one. If only a region of the image is wanted, the MCUs outside it are skipped */
+    const [width, height] = this.outputSize();
+    const raster = this.createRaster(width, height, this.frameData.precision, options.uint16, format, options.output, options.stride);
+    return this.paintMcus(raster, format, this.regionMcuRange());
+  }
+
+  /* Paint the interleaved MCUs in rows `rowStart` up to `rowEnd`, and columns `colStart` up
+   * to `colEnd`, in a raster (created by `createRaster`) which covers `this.region` */
+  paintMcus(raster, format, { rowStart, rowEnd, colStart, colEnd }) {
+    const components = this.frameData.components;
+    const blockLength = this.idctSize * this.idctSize;
+    const mcu = [], blocks = [];
+    for (const component of components)
+      for (var i = 0; i < component.horizSampling * component.vertSampling; i++)
+        blocks.push(new Float64Array(blockLength));
+    const dummyBlock = new Float64Array(blockLength);
+    const aligned = components.map(() => new Float64Array(this.maxHorizSampling * this.maxVertSampling * blockLength));
+    /* If only luminance is wanted, don't bother with the IDCT for the chroma components */
+    const lumaOnly = format === 'grayscale' && this.colorSpace === 'YCbCr';
+
+    for (var mcuRow = rowStart; mcuRow < rowEnd; mcuRow++) {
+      for (var mcuCol = colStart; mcuCol < colEnd; mcuCol++) {
+        var blockIndex = 0;
+
+        for (const component of components) {
+          for (var blockRow = 0; blockRow < component.vertSampling; blockRow++) {
+            for (var blockCol = 0; blockCol < component.horizSampling; blockCol++) {
+              const row = (mcuRow * component.vertSampling) + blockRow;
+              const col = (mcuCol * component.horizSampling) + blockCol;
+              if (row >= component.blocksPerCol || col >= component.blocksPerRow || (lumaOnly && component.index > 0))
+                mcu[blockIndex] = dummyBlock;
+              else
+                mcu[blockIndex] = this.blockSamples(component, (row * component.blocksPerRow) + col, blocks[blockIndex]);
+              blockIndex++;
+            }
+          }
+        }
+
+        this.paintPixels(raster, mcu, components, (mcuRow * this.mcusPerRow) + mcuCol, aligned);
+      }
+    }
+
+    return raster;
+  }
+
+  /* Read all the segments of a JPEG file, and decode each scan to DCT coefficients
+   * (or to samples, for lossless JPEGs) */
+  readDatastream(buffer) {
+    for (const segment of JPEG.segments(buffer))
+      this.handleSegment(buffer, segment.marker, segment.index);
+
+    if (!this.frameData)
+      throw new Error("No frame header found");
+  }
+
+  /* Process the segment for `marker`, which starts at `buffer[i]`; for a scan header,
+   * the entropy-coded data which follows it must also be in `buffer` */
+  handleSegment(buffer, marker, i) {
+    switch (marker) {
+      case 0xC0: case 0xC1: case 0xC2: case 0xC3:
+      case 0xC5: case 0xC6: case 0xC7: case 0xC8:
+      case 0xC9: case 0xCA: case 0xCB: case 0xCD:
+      case 0xCE: case 0xCF:
+        if (this.hierarchy)
+          this.finishHierarchicalFrame(); /* Previous frame is complete */
+        this.handleFrameHeader(buffer, i);
+        if (this.frameData.lossless)
+          this.initSamplesArray();
+        else
+          this.initCoefficientsArray();
+        break;
+
+      case 0xC4:
+        this.handleHuffmanSegment(buffer, i);
+        break;
+
+      case 0xCC:
+        this.handleConditioningSegment(buffer, i);
+        break;
+
+      case 0xD8: /* Start of Image */
+        this.restartInterval = 0;
+        break;
+
+      case 0xDA:
+        if (this.frameData.progressive) {
+          this.readProgressiveScan(buffer, i);
+        } else if (this.frameData.lossless) {
+          this.readLosslessScan(buffer, i);
+        } else {
+          this.readBaselineScan(buffer, i);
+        }
+        this.scanDecoded(buffer, i);
+        break;
+
+      case 0xDB:
+        this.handleQuantizationSegment(buffer, i);
+        break;
+
+      case 0xDC:
+        this.handleNumberOfLines(buffer, i);
+        break;
+
+      case 0xDD:
+        this.handleRestartInterval(buffer, i);
+        break;
+
+      case 0xDE:
+        this.handleHierarchicalProgression(buffer, i);
+        break;
+
+      case 0xDF:
+        /* The EXP segment applies to the following frame, so the previous one must be
+         * finished using the EXP segment (if any) which came before it */
+        if (this.hierarchy)
+          this.finishHierarchicalFrame();
+        this.handleExpandSegment(buffer, i);
+        break;
+
+      case 0xE0:
+        this.handleJfifHeader(buffer, i);
+        break;
+
+      case 0xE1:
+        this.handleExifHeader(buffer, i);
+        break;
+
+      case 0xE2:
+        this.handleICCColorProfile(buffer, i);
+        break;
+
+      case 0xEE:
+        this.handleAdobeColorProfile(buffer, i);
+        break;
+
+      case 0xFE:
+        this.handleComment(buffer, i);
+        break;
+    }
+  }
+
+  /* Parse any marker segment, using the `read*` method for that type of segment
+   * Returns undefined for markers which have no content, or which we don't understand
+   *
+   * Scan headers refer to the components in the frame header, so a frame header
+   * must be read before any scan header which follows it */
+  readSegment(buffer, index) {
+    switch (buffer[index+1]) {
+      case 0xC0: case 0xC1: case 0xC2: case 0xC3:
+      case 0xC5: case 0xC6: case 0xC7: case 0xC8:
+      case 0xC9: case 0xCA: case 0xCB: case 0xCD:
+      case 0xCE: case 0xCF:
+        return this.frameData = this.readFrameHeader(buffer, index);
+      case 0xC4:
+        return this.readHuffmanSegment(buffer, index);
+      case 0xCC:
+        return this.readConditioningSegment(buffer, index);
+      case 0xDA:
+        if (!this.frameData)
+          throw new Error("Scan header appears before any frame header");
+        return this.readScanHeader(buffer, index);
+      case 0xDB:
+        return this.readQuantizationSegment(buffer, index);
+      case 0xDC:
+        return this.readNumberOfLines(buffer, index);
+      case 0xDD:
+        return this.readRestartInterval(buffer, index);
+      case 0xDE:
+        return this.readHierarchicalProgression(buffer, index);
+      case 0xDF:
+        return this.readExpandSegment(buffer, index);
+      case 0xE0:
+        return this.readJfifHeader(buffer, index);
+      case 0xE1:
+        return this.readExifHeader(buffer, index);
+      case 0xE2:
+        return this.readICCColorProfile(buffer, index);
+      case 0xEE:
+        return this.readAdobeColorProfile(buffer, index);
+      case 0xFE:
+        return this.readComment(buffer, index);
+    }
   }
 
   /* JFIF/EXIF file header */
@@ -195,6 +744,12 @@ class JPEG {
     console.groupEnd();
   }
 
+  handleJfifHeader(buffer, index) {
+    const header = this.readJfifHeader(buffer, index);
+    if (header.majorVersion !== undefined)
+      this.jfif = header;
+  }
+
   readExifHeader(buffer, index) {
     if (buffer.readUInt16BE(index) !== 0xFFE1)
       throw new Error("Invalid EXIF header (wrong marker)");
@@ -202,6 +757,14 @@ class JPEG {
       return [];
     const tiffHeader = index+10;
 
+    /* All offsets are relative to the TIFF header, and must not point past the end of the segment */
+    const segmentEnd = index + 2 + buffer.readUInt16BE(index+2);
+    const checkRange = (offset, size) => {
+      if (offset < tiffHeader || offset + size > segmentEnd)
+        throw new Error("Invalid EXIF header (offset out of range)");
+    };
+    checkRange(tiffHeader, 8);
+
     /* ASCII 'II' means little-endian (for 'Intel'), 'MM' means big-endian (for 'Motorola') */
     const endiannessTag = buffer.toString('binary', tiffHeader, tiffHeader+2);
     var readInt16, readInt32, readUInt16, readUInt32, readFloat32, readFloat64;
@@ -227,10 +790,15 @@ class JPEG {
     /* Get offset to first IFD or Image File Directory entry */
     var index = tiffHeader + readUInt32(tiffHeader+4);
 
-    const images = [];
+    const images = [], visited = new Set();
     while (index !== tiffHeader) {
+      if (visited.has(index))
+        throw new Error("Invalid EXIF header (loop in list of IFDs)");
+      visited.add(index);
+      checkRange(index, 2);
       var nEntries = readUInt16(index);
       index += 2;
+      checkRange(index, (nEntries * 12) + 4);
 
       const imageData = [];
       while (nEntries-- > 0) {
@@ -239,7 +807,10 @@ class JPEG {
         /* Size of a single data 'component'; must be multiplied by number of 'components' */
         const dataSize    = [undefined, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8][dataFormat];
         const nComponents = readUInt32(index+4);
+        if (dataSize === undefined)
+          throw new Error(`Invalid EXIF header (unknown data format ${dataFormat})`);
         const dataOffset  = (dataSize * nComponents > 4) ? tiffHeader + readUInt32(index+8) : index+8;
+        checkRange(dataOffset, dataSize * nComponents);
         const dataReadFn  = [undefined,
           readUInt8, readUInt8, readUInt16, readUInt32, this.readRational(readUInt32),
           readInt8,  readUInt8, readInt16,  readInt32,  this.readRational(readInt32),
@@ -288,6 +859,19 @@ class JPEG {
     console.groupEnd();
   }
 
+  /* EXIF data is only metadata; if it is malformed, leave it out rather than failing to
+   * decode the image */
+  handleExifHeader(buffer, index) {
+    var images;
+    try {
+      images = this.readExifHeader(buffer, index);
+    } catch (e) {
+      return;
+    }
+    if (images.length)
+      this.exif = images;
+  }
+
   readICCColorProfile(buffer, index) {
     if (buffer.readUInt16BE(index) !== 0xFFE2)
       throw new Error("Invalid ICC color profile (wrong marker)");
@@ -297,7 +881,8 @@ class JPEG {
     const length  = buffer.readUInt16BE(index+2);
 
     /* ICC.1:2010 section B.4 says that an ICC color profile embedded in a JPEG
-     * file should have a 1-byte 'chunk number' immediately following the identifier.
+     * file should have a 1-byte 'chunk number' (starting from 1) and a 1-byte count of
+     * chunks immediately following the identifier and its terminating zero byte.
      * This is intended for cases where color profile data is split over multiple
      * sections of the JPEG file.
      *
@@ -305,11 +890,12 @@ class JPEG {
      * be used in such cases; rather, it says that the contents of all ICC color
      * profile sections should automatically be concatenated together.
      *
-     * I'm not sure which is actually followed in practice. */
+     * libjpeg and Adobe software follow ICC.1, so we do too. */
     const chunkNo = buffer[index+16];
-    const content = buffer.slice(index+17, index+length+2);
+    const nChunks = buffer[index+17];
+    const content = buffer.slice(index+18, index+length+2);
 
-    return { chunk: chunkNo, data: content };
+    return { chunk: chunkNo, chunks: nChunks, data: content };
   }
 
   dumpICCColorProfile(buffer, index) {
@@ -318,16 +904,30 @@ class JPEG {
     console.groupEnd();
   }
 
+  handleICCColorProfile(buffer, index) {
+    const profile = this.readICCColorProfile(buffer, index);
+    if (profile.data)
+      this.iccChunks.push(profile);
+  }
+
+  /* Put the chunks of an ICC color profile back together, in order */
+  iccProfile() {
+    if (!this.iccChunks.length)
+      return undefined;
+    const chunks = this.iccChunks.slice().sort((a, b) => a.chunk - b.chunk);
+    return Buffer.concat(chunks.map((chunk) => chunk.data));
+  }
+
   readAdobeColorProfile(buffer, index) {
     if (buffer.readUInt16BE(index) !== 0xFFEE)
       throw new Error("Invalid Adobe color profile (wrong marker)");
     if (buffer.toString('binary', index+4, index+9) !== 'Adobe')
       return {};
 
-    const transform = buffer[index+11];
-    if (transform > 2)
-      throw new Error("Invalid color transform specified in Adobe color profile");
-    return { color: ['CMYK/RGB', 'YCbCr', 'YCCK'][transform] };
+    /* 'Adobe' is followed by a 2-byte version number and two 2-byte flag fields
+     * Only transforms 0-2 are defined; for any other, `color` is undefined */
+    const transform = buffer[index+15];
+    return { color: ['CMYK/RGB', 'YCbCr', 'YCCK'][transform], transform: transform };
   }
 
   dumpAdobeColorProfile(buffer, index) {
@@ -336,11 +936,30 @@ class JPEG {
     console.groupEnd();
   }
 
+  /* If the transform is unknown, the color space is inferred as if there was no Adobe segment */
+  handleAdobeColorProfile(buffer, index) {
+    const profile = this.readAdobeColorProfile(buffer, index);
+    if (profile.color !== undefined)
+      this.adobe = profile;
+  }
+
+  /* Comment */
+
+  readComment(buffer, index) {
+    if (buffer.readUInt16BE(index) !== 0xFFFE)
+      throw new Error("Invalid comment (wrong marker)");
+    return buffer.toString('utf8', index+4, index+2+buffer.readUInt16BE(index+2));
+  }
+
+  handleComment(buffer, index) {
+    this.comments.push(this.readComment(buffer, index));
+  }
+
   /* Start of Frame */
 
   readFrameHeader(buffer, index) {
     const marker       = buffer[index+1];
-    const lossless     = (marker == 0xC3 || marker == 0xC7 || marker == 0xCB);
+    const lossless     = (marker == 0xC3 || marker == 0xC7 || marker == 0xCB || marker == 0xCF);
     const extended     = (marker == 0xC1 || marker == 0xC9);
     const progressive  = (marker == 0xC2 || marker == 0xC6 || marker == 0xCA || marker == 0xCE);
     const arithmetic   = (marker >= 0xC9);
@@ -353,7 +972,11 @@ class JPEG {
     /* A 'component' is a color channel; basically, something with one number (or 'sample')
      * for each pixel in the image */
     var   nComponents = buffer[index+9];
-    const components  = new Array(nComponents);
+    const components  = [];
+    /* Component IDs are arbitrary byte values; most encoders use 1, 2, 3... but some use 0, 1, 2...
+     * or ASCII letters like 'R', 'G', 'B'. Scan headers refer to components by ID, but we store
+     * data for each component at the same index where it appears in the frame header */
+    const componentIndex = new Map(); /* component ID -> index */
 
     index += 10;
     while (nComponents-- > 0) {
@@ -371,7 +994,10 @@ class JPEG {
       const horizSampling = buffer[index+1] >> 4;
       const vertSampling  = buffer[index+1] & 0xF;
       const quantTableIdx = buffer[index+2];
-      components[componentId-1] = { id: componentId, quantTable: quantTableIdx, horizSampling: horizSampling, vertSampling: vertSampling };
+      if (componentIndex.has(componentId))
+        throw new Error(`Component ID ${componentId} is used twice in frame header`);
+      componentIndex.set(componentId, components.length);
+      components.push({ id: componentId, index: components.length, quantTable: quantTableIdx, horizSampling: horizSampling, vertSampling: vertSampling });
       index += 3;
     }
 
@@ -384,7 +1010,8 @@ class JPEG {
       precision: precision,
       width: pixelWidth,
       height: pixelHeight,
-      components: components
+      components: components,
+      componentIndex: componentIndex
     };
   }
 
@@ -396,13 +1023,31 @@ class JPEG {
 
   handleFrameHeader(buffer, index) {
     this.frameData = this.readFrameHeader(buffer, index);
+    for (const component of this.frameData.components)
+      if (component.horizSampling < 1 || component.horizSampling > 4 || component.vertSampling < 1 || component.vertSampling > 4)
+        throw new Error(`Invalid sampling factors ${component.horizSampling}x${component.vertSampling} for component ${component.id}`);
     this.maxHorizSampling = this.frameData.components.reduce((max,c) => Math.max(max, c.horizSampling), 0);
     this.maxVertSampling = this.frameData.components.reduce((max,c) => Math.max(max, c.vertSampling), 0);
 
+    if (this.frameData.lossless && (this.frameData.precision < 2 || this.frameData.precision > 16))
+      throw new Error(`Invalid sample precision ${this.frameData.precision} for lossless JPEG`);
+    /* DCT-based JPEGs can only use 8 or 12 bits per sample */
+    if (!this.frameData.lossless && this.frameData.precision !== 8 && this.frameData.precision !== 12)
+      throw new Error(`Invalid sample precision ${this.frameData.precision} for DCT-based JPEG`);
+
+    this.calculateFrameGeometry();
+  }
+
+  /* Work out how the image is divided up into MCUs and blocks, based on its size and sampling factors */
+  calculateFrameGeometry() {
+    /* Lossless JPEGs don't divide the image into 8x8 blocks; each sample is coded on its own,
+     * so for our purposes, a lossless 'block' is just one sample */
+    const blockSize = this.frameData.lossless ? 1 : 8;
+
     /* For interleaved scans, which include blocks from all image components, each 'MCU' or group
      * of encoded blocks will cover this much of the image: */
-    this.mcuPixelWidth = 8 * this.maxHorizSampling;
-    this.mcuPixelHeight = 8 * this.maxVertSampling;
+    this.mcuPixelWidth = blockSize * this.maxHorizSampling;
+    this.mcuPixelHeight = blockSize * this.maxVertSampling;
 
     /* How many MCUs will it take to complete the whole image (if interleaved scans are used)? */
     this.mcusPerRow = Math.ceil(this.frameData.width / this.mcuPixelWidth);
@@ -414,39 +1059,196 @@ class JPEG {
      * For such scans, our interest is just in how much of the image is covered by one block
      * of samples for a specific image component. */
     for (const component of this.frameData.components) {
-      component.blockPixelWidth  = 8 * (this.maxHorizSampling / component.horizSampling);
-      component.blockPixelHeight = 8 * (this.maxVertSampling  / component.vertSampling);
-      component.blocksPerRow = Math.ceil(this.frameData.width  / component.blockPixelWidth);
-      component.blocksPerCol = Math.ceil(this.frameData.height / component.blockPixelHeight);
+      component.blockPixelWidth  = blockSize * (this.maxHorizSampling / component.horizSampling);
+      component.blockPixelHeight = blockSize * (this.maxVertSampling  / component.vertSampling);
+      /* The ratio between sampling factors may not be a whole number, so don't divide by
+       * `blockPixelWidth`; floating-point error could make us count one block too many */
+      const samplesPerLine = Math.ceil(this.frameData.width  * component.horizSampling / this.maxHorizSampling);
+      const linesPerFrame  = Math.ceil(this.frameData.height * component.vertSampling  / this.maxVertSampling);
+      component.blocksPerRow = Math.ceil(samplesPerLine / blockSize);
+      component.blocksPerCol = Math.ceil(linesPerFrame  / blockSize);
     }
   }
 
+  /* Define Number of Lines */
+
+  readNumberOfLines(buffer, index) {
+    if (buffer.readUInt16BE(index) !== 0xFFDC)
+      throw new Error("Invalid DNL segment (wrong marker)");
+    return buffer.readUInt16BE(index+4);
+  }
+
+  dumpNumberOfLines(buffer, index) {
+    console.group();
+    console.log(`Number of lines: ${this.readNumberOfLines(buffer, index)}`);
+    console.groupEnd();
+  }
+
+  /* A DNL segment is only used when the frame header has a height of 0; it must come
+   * right after the first scan. If the height is already known, there is nothing to do */
+  handleNumberOfLines(buffer, index) {
+    const lines = this.readNumberOfLines(buffer, index);
+    if (this.frameData.height !== 0)
+      return;
+    if (lines === 0)
+      throw new Error("Invalid number of lines (0) in DNL segment");
+
+    this.frameData.height = lines;
+    this.calculateFrameGeometry();
+    if (this.frameData.lossless)
+      this.resizeSamplesArray();
+    else
+      this.resizeCoefficientsArray();
+  }
+
+  /* Define Restart Interval */
+
+  readRestartInterval(buffer, index) {
+    if (buffer.readUInt16BE(index) !== 0xFFDD)
+      throw new Error("Invalid DRI segment (wrong marker)");
+    return buffer.readUInt16BE(index+4);
+  }
+
   dumpRestartInterval(buffer, index) {
     console.group();
-    console.log(`Restart interval: ${buffer.readUInt16BE(index+4)} MCUs`);
+    console.log(`Restart interval: ${this.readRestartInterval(buffer, index)} MCUs`);
     console.groupEnd();
   }
 
   handleRestartInterval(buffer, index) {
-    this.restartInterval = buffer.readUInt16BE(index+4);
+    this.restartInterval = this.readRestartInterval(buffer, index);
+  }
+
+  /* Hierarchical JPEGs
+   * These contain a series of frames; the first one (for each image component) is coded just
+   * like a non-hierarchical JPEG, but often at a reduced resolution. Each following 'differential'
+   * frame codes the difference between the desired image and the image reconstructed from
+   * the preceding frames (which may be upsampled by 2 horizontally and/or vertically first) */
+
+  readHierarchicalProgression(buffer, index) {
+    if (buffer.readUInt16BE(index) !== 0xFFDE)
+      throw new Error("Invalid hierarchical progression segment (wrong marker)");
+    /* This segment has the same layout as a frame header, and gives the size of the final image */
+    const { precision, width, height, components } = this.readFrameHeader(buffer, index);
+    return { precision: precision, width: width, height: height, components: components };
+  }
+
+  dumpHierarchicalProgression(buffer, index) {
+    console.group();
+    console.log(this.readHierarchicalProgression(buffer, index));
+    console.groupEnd();
+  }
+
+  handleHierarchicalProgression(buffer, index) {
+    this.hierarchy = this.readHierarchicalProgression(buffer, index);
+    this.hierarchy.references = new Map(); /* component ID -> most recently reconstructed samples */
+  }
+
+  readExpandSegment(buffer, index) {
+    if (buffer.readUInt16BE(index) !== 0xFFDF)
+      throw new Error("Invalid expand reference components segment (wrong marker)");
+    return { horizontal: (buffer[index+4] >> 4) === 1, vertical: (buffer[index+4] & 0xF) === 1 };
+  }
+
+  dumpExpandSegment(buffer, index) {
+    console.group();
+    console.log(this.readExpandSegment(buffer, index));
+    console.groupEnd();
+  }
+
+  handleExpandSegment(buffer, index) {
+    this.expansion = this.readExpandSegment(buffer, index);
   }
 
   initCoefficientsArray() {
-    /* `coefficients` is a 4-level nested array:
+    /* `coefficients[ci]` is a typed array with all the coefficients for an image component
+     * (`ci` is the index of the component in the frame header, not its ID)
+     *
+     * It holds 64 coefficients for each block, in zig-zag order, as they were decoded (before
+     * dequantization). Blocks are stored from left to right and top to bottom, so block (row, col)
+     * starts at index ((row * blocksPerRow) + col) * 64
+     *
+     * 16 bits is enough for the coefficients of 8-bit images, but not always for 12-bit images */
+    const ArrayType = (this.frameData.precision > 8) ? Int32Array : Int16Array;
+    this.coefficients = this.frameData.components.map(() => new ArrayType(0));
+    this.resizeCoefficientsArray();
+  }
+
+  /* Add or remove rows of blocks so each component has exactly `blocksPerCol` rows */
+  resizeCoefficientsArray() {
+    for (const component of this.frameData.components) {
+      const coeffs = this.coefficients[component.index];
+      const length = component.blocksPerRow * component.blocksPerCol * 64;
+      if (coeffs.length !== length) {
+        const resized = new coeffs.constructor(length);
+        resized.set(coeffs.subarray(0, length));
+        this.coefficients[component.index] = resized;
+      }
+    }
+  }
+
+  /* For frames whose height is not known until we reach a DNL segment, add storage
+   * for more rows of MCUs as we decode them
+   *
+   * The storage is (at least) doubled each time it grows, so coefficients are not copied
+   * over and over again when each restart interval adds a few more rows; when the DNL
+   * segment is found, it is trimmed to the final size */
+  growCoefficientsArray(mcuRows) {
+    for (const component of this.frameData.components) {
+      component.blocksPerCol = Math.max(component.blocksPerCol, mcuRows * component.vertSampling);
+      const coeffs = this.coefficients[component.index];
+      const length = component.blocksPerRow * component.blocksPerCol * 64;
+      if (coeffs.length < length) {
+        const grown = new coeffs.constructor(Math.max(length, coeffs.length * 2));
+        grown.set(coeffs);
+        this.coefficients[component.index] = grown;
+      }
+    }
+    this.totalMcus = Math.max(this.totalMcus, mcuRows * this.mcusPerRow);
+  }
+
+  initSamplesArray() {
+    /* For lossless JPEGs, `samples[ci]` holds all the samples for an image component,
+     * one row after another
      *
-     * `coefficients[ci]`            --> all coefficients for an image component
-     * `coefficients[ci][ri]`        --> all coefficients for a row of blocks of a component
-     * `coefficients[ci][ri][bi]`    --> all coefficients for a specific block
-     * `coefficients[ci][ri][bi][k]` --> one coefficient at index K (which may be zig-zag or natural order) */
-    this.coefficients = new Array(this.frameData.components.length);
+     * Each row is long enough to hold all the samples coded by an interleaved scan, including
+     * any which fall past the right or bottom edge of the image and are only there to complete
+     * the last MCU in a row or column */
+    this.samples = this.frameData.components.map(() => new Int32Array(0));
+    this.resizeSamplesArray();
+  }
+
+  /* Add or remove lines of samples so each component has exactly enough for the MCUs
+   * which cover the image */
+  resizeSamplesArray() {
+    const mcuRows = Math.ceil(this.frameData.height / this.mcuPixelHeight);
+    for (const component of this.frameData.components) {
+      component.samplesPerLine = this.mcusPerRow * component.horizSampling;
+      component.sampleLines = mcuRows * component.vertSampling;
+      const samples = this.samples[component.index];
+      const length = component.samplesPerLine * component.sampleLines;
+      if (samples.length !== length) {
+        const resized = new Int32Array(length);
+        resized.set(samples.subarray(0, length));
+        this.samples[component.index] = resized;
+      }
+    }
+  }
+
+  /* Like `growCoefficientsArray`, but for the samples of a lossless frame */
+  growSamplesArray(mcuRows) {
     for (const component of this.frameData.components) {
-      const blockRows = this.coefficients[component.id-1] = new Array(component.blocksPerCol);
-      for (var i = 0; i < blockRows.length; i++) {
-        const row = blockRows[i] = [];
-        for (var j = 0; j < component.blocksPerRow; j++)
-          row.push(new Array(64).fill(0));
+      component.blocksPerCol = Math.max(component.blocksPerCol, mcuRows * component.vertSampling);
+      component.sampleLines = Math.max(component.sampleLines, mcuRows * component.vertSampling);
+      const samples = this.samples[component.index];
+      const length = component.samplesPerLine * component.sampleLines;
+      if (samples.length < length) {
+        const grown = new Int32Array(Math.max(length, samples.length * 2));
+        grown.set(samples);
+        this.samples[component.index] = grown;
       }
     }
+    this.totalMcus = Math.max(this.totalMcus, mcuRows * this.mcusPerRow);
   }
 
   /* Huffman Tables */
@@ -477,17 +1279,26 @@ class JPEG {
     return { type: tableClass, number: tableNumber, codes: codes, start: index, end: nextValueIndex };
   }
 
-  /* `index` points at segment marker */
-  handleHuffmanSegment(buffer, index) {
+  /* `index` points at segment marker; one segment can define any number of tables */
+  readHuffmanSegment(buffer, index) {
     if (buffer.readUInt16BE(index) !== 0xFFC4)
       throw new Error("Invalid Huffman segment (wrong marker)");
-    /* Segment length includes 2 bytes for marker, 2 for length field */
+    /* Segment length includes 2 bytes for length field, but not the marker */
     const length = buffer.readUInt16BE(index+2);
-    const end    = index + length;
+    const end    = index + length + 2;
 
+    const tables = [];
     index += 4;
     while (index < end) {
       const table = this.readHuffmanTable(buffer, index);
+      tables.push(table);
+      index = table.end;
+    }
+    return tables;
+  }
+
+  handleHuffmanSegment(buffer, index) {
+    for (const table of this.readHuffmanSegment(buffer, index)) {
       if (table.type) {
         this.acTables[table.number] = table;
         this.acDecoders[table.number] = huffman.prepareDecoder(table.codes);
@@ -495,22 +1306,15 @@ class JPEG {
         this.dcTables[table.number] = table;
         this.dcDecoders[table.number] = huffman.prepareDecoder(table.codes);
       }
-      index = table.end;
     }
   }
 
   dumpHuffmanSegment(buffer, index) {
-    const length = buffer.readUInt16BE(index+2);
-    const end    = index + length;
-
-    index += 4;
-    while (index < end) {
-      const table = this.readHuffmanTable(buffer, index);
+    for (const table of this.readHuffmanSegment(buffer, index)) {
       console.group();
       console.log(`Huffman table class: ${table.type ? 'AC' : 'DC'}, Number: ${table.number}`);
       console.log(table.codes);
       console.groupEnd();
-      index = table.end;
     }
   }
 
@@ -539,15 +1343,20 @@ class JPEG {
     }
   }
 
-  handleConditioningSegment(buffer, index) {
+  readConditioningSegment(buffer, index) {
     if (buffer.readUInt16BE(index) !== 0xFFCC)
       throw new Error("Invalid arithmetic conditioning segment (wrong marker)");
     const length = buffer.readUInt16BE(index+2);
     const end    = index + length + 2;
 
-    index += 4;
-    while (index < end) {
-      const table = this.readConditioningTable(buffer, index);
+    const tables = [];
+    for (index += 4; index < end; index += 2)
+      tables.push(this.readConditioningTable(buffer, index));
+    return tables;
+  }
+
+  handleConditioningSegment(buffer, index) {
+    for (const table of this.readConditioningSegment(buffer, index)) {
       if (table.type) {
         this.acTables[table.number] = table;
         this.acStats[table.number] = new arithmetic.Statistics(245);
@@ -555,17 +1364,32 @@ class JPEG {
         this.dcTables[table.number] = table;
         this.dcStats[table.number] = new arithmetic.Statistics(49);
       }
-      index += 2;
     }
   }
 
-  dumpConditioningSegment(buffer, index) {
-    const length = buffer.readUInt16BE(index+2);
-    const end    = index + length + 2;
+  /* Encoders can leave out the DAC segment; then the default conditioning values
+   * from the JPEG spec are used (F.1.4.4.1.4 and F.1.4.4.2.1): L = 0 and U = 1 for DC
+   * coefficients, and Kx = 5 for AC coefficients */
+  dcConditioningTable(tableNumber) {
+    return this.dcTables[tableNumber] || { type: 0, number: tableNumber, lowThreshold: 0, highThreshold: 2 };
+  }
 
-    index += 4;
-    while (index < end) {
-      const table = this.readConditioningTable(buffer, index);
+  acConditioningTable(tableNumber) {
+    return this.acTables[tableNumber] || { type: 1, number: tableNumber, threshold: 5 };
+  }
+
+  /* Likewise, a statistics area is needed for each table used by a scan, whether or not
+   * it appeared in a DAC segment */
+  dcStatistics(tableNumber) {
+    return this.dcStats[tableNumber] || (this.dcStats[tableNumber] = new arithmetic.Statistics(49));
+  }
+
+  acStatistics(tableNumber) {
+    return this.acStats[tableNumber] || (this.acStats[tableNumber] = new arithmetic.Statistics(245));
+  }
+
+  dumpConditioningSegment(buffer, index) {
+    for (const table of this.readConditioningSegment(buffer, index)) {
       console.group();
       console.log(`Arithmetic conditioning table class: ${table.type ? 'AC' : 'DC'}, Number: ${table.number}`);
       if (table.type)
@@ -573,7 +1397,6 @@ class JPEG {
       else
         console.log(`U: ${table.highThreshold} L: ${table.lowThreshold}`);
       console.groupEnd();
-      index += 2;
     }
   }
 
@@ -595,43 +1418,77 @@ class JPEG {
     }
   }
 
-  dumpQuantizationSegment(buffer, index) {
+  readQuantizationSegment(buffer, index) {
+    if (buffer.readUInt16BE(index) !== 0xFFDB)
+      throw new Error("Invalid quantization tables segment (wrong marker)");
     const length = buffer.readUInt16BE(index+2);
     const end    = index + length + 2;
 
+    const tables = [];
     index += 4;
     while (index < end) {
       const table = this.readQuantizationTable(buffer, index);
+      tables.push(table);
+      index = table.end;
+    }
+    return tables;
+  }
+
+  dumpQuantizationSegment(buffer, index) {
+    for (const table of this.readQuantizationSegment(buffer, index)) {
       console.group();
       console.log(`Quantization table number: ${table.number}, Precision: ${table.precision}`);
       console.log(table.values);
       console.groupEnd();
-      index = table.end;
     }
-
-    return index;
   }
 
   handleQuantizationSegment(buffer, index) {
-    if (buffer.readUInt16BE(index) !== 0xFFDB)
-      throw new Error("Invalid quantization tables segment (wrong marker)");
-    const length = buffer.readUInt16BE(index+2);
-    const end    = index + length + 2;
-
-    index += 4;
-    while (index < end) {
-      const table = this.readQuantizationTable(buffer, index);
+    for (const table of this.readQuantizationSegment(buffer, index))
       this.quantTables[table.number] = table;
-      index = table.end;
+  }
+
+  /* A DQT segment can replace a quantization table between scans. The table which is used
+   * for each component is the one which was defined when the first scan including that
+   * component started; so a different table with the same number can be used for
+   * components which only appear in later scans */
+  selectQuantizationTables(header) {
+    for (const scanComponent of header.components) {
+      const component = this.frameData.components[scanComponent.index];
+      if (component.quantValues)
+        continue;
+      const table = this.quantTables[component.quantTable];
+      if (!table)
+        throw new Error(`Quantization table ${component.quantTable} (for component ${component.id}) is not defined`);
+      component.quantValues = table.values;
+      /* Progressive scans may leave out the low-order bits of some coefficients until a later
+       * scan; those coefficients are dequantized with `dequantValues`, which make up for that */
+      component.missingBits = new Uint8Array(64);
+      component.dequantValues = table.values;
     }
+  }
 
-    return index;
+  /* After a progressive scan, the coefficients which it covered (for the image components in it)
+   * are missing their low `approxBitLow` bits; scale their quantization values to match */
+  updateMissingBits(header) {
+    const { spectralStart, spectralEnd, approxBitLow } = header;
+    for (const scanComponent of header.components) {
+      const component = this.frameData.components[scanComponent.index];
+      component.missingBits.fill(approxBitLow, spectralStart, spectralEnd + 1);
+      component.dequantValues = Array.from(component.quantValues, (value, i) => value * (1 << component.missingBits[i]));
+    }
   }
 
-  dequantizeCoefficients(coefficients, quantTable) {
-    for (var i = 0; i < coefficients.length; i++)
-      coefficients[i] *= quantTable[i];
-    return coefficients;
+  /* Dequantize the block of coefficients starting at `offset` in `coefficients`, and convert them
+   * to natural (rather than zig-zag) order, storing the result in `block` */
+  dequantizeBlock(coefficients, offset, quantValues, block) {
+    if (!quantValues) {
+      /* If no scan included this component, all its coefficients are zero anyways */
+      return block.fill(0);
+    }
+    for (var i = 0; i < 64; i++)
+      block[JPEG.zigzagSequence[i]] = coefficients[offset + i] * quantValues[i];
+    return block;
   }
 
   /* Scan header */
@@ -649,7 +1506,11 @@ class JPEG {
     index += 5;
     while (nComponents-- > 0) {
       const componentId = buffer[index];
-      const componentData = this.frameData.components[componentId-1];
+      if (!this.frameData.componentIndex.has(componentId))
+        throw new Error(`Scan header refers to component ${componentId}, which is not in the frame header`);
+      if (components.some((component) => component.id === componentId))
+        throw new Error(`Component ID ${componentId} is used twice in scan header`);
+      const componentData = this.frameData.components[this.frameData.componentIndex.get(componentId)];
       components.push(Object.assign({ dcTable: buffer[index+1] >> 4, acTable: buffer[index+1] & 0xF }, componentData));
       index += 2;
     }
@@ -670,8 +1531,8 @@ class JPEG {
         };
       } else if (this.frameData.lossless) {
         result = {
-          predictor: selectionEnd,      /* This field has different meaning for lossless JPEGs */
-          pointTransform: approxBitPos, /* Likewise */
+          predictor: selectionStart,           /* This field has different meaning for lossless JPEGs */
+          pointTransform: approxBitPos & 0xF,  /* Likewise */
           components: components
         };
       } else if (selectionStart || (selectionEnd !== 63) || approxBitPos) {
@@ -691,31 +1552,40 @@ class JPEG {
 
   readBaselineScan(buffer, index) {
     const header = this.readScanHeader(buffer, index);
+    const interleaved = header.components.length > 1;
+    this.selectQuantizationTables(header);
     index += buffer.readUInt16BE(index+2) + 2; /* Go past end of scan header */
 
     /* ECS encodes a series of "MCUs" or "minimum coded units"
      *
      * Each MCU consists of (horizontalSamplingFactor * verticalSamplingFactor) 8x8 blocks
-     * for component 1, then for component 2... up to the last component */
+     * for component 1, then for component 2... up to the last component
+     *
+     * A scan may not include all the image components; then the image will have more than one
+     * scan. If a scan only has one component, it is 'non-interleaved', and each MCU is just one
+     * 8x8 block (regardless of the sampling factors) */
     var mcuNumber = 0;
+    const [firstMcu, lastMcu] = this.neededMcuRange(header, interleaved);
 
     /* Decode any number of entropy-coded segments delimited by restart markers */
     while (true) {
-      const [ecs, ecsEnd] = this.extractEntropyCodedSegment(buffer, index);
-      /* If a restart interval has been defined, each ECS should contain the specified
-       * number of MCUs. Otherwise, it should be enough MCUs to complete the image */
-      const expectedMcus = this.restartInterval ? Math.min(this.restartInterval, this.totalMcus - mcuNumber) : this.totalMcus;
-
-      /* Decode entropy-coded data in this ECS and update `coefficients` */
-      if (this.frameData.coding === 'huffman') {
-        this.readHuffmanCodedSegment(header, ecs, mcuNumber, mcuNumber + expectedMcus);
-      } else {
-        this.resetArithmeticStatisticsAreas();
-        this.readArithmeticCodedSegment(header, ecs, mcuNumber, mcuNumber + expectedMcus);
+      const ecsEnd = this.entropyCodedSegmentEnd(buffer, index);
+      const expectedMcus = this.mcusInSegment(buffer, ecsEnd, header, mcuNumber, interleaved);
+
+      /* Decode entropy-coded data in this ECS and update `coefficients`
+       * (unless all the MCUs in it come before the part of the image which we need) */
+      if (mcuNumber + expectedMcus > firstMcu) {
+        const segmentEnd = Math.min(mcuNumber + expectedMcus, lastMcu);
+        if (this.frameData.coding === 'huffman') {
+          this.readHuffmanCodedSegment(header, new huffman.BitReader(buffer, index, ecsEnd), mcuNumber, segmentEnd);
+        } else {
+          this.resetArithmeticStatisticsAreas();
+          this.readArithmeticCodedSegment(header, new arithmetic.Decoder(buffer, index, ecsEnd - index), mcuNumber, segmentEnd);
+        }
       }
       mcuNumber += expectedMcus;
 
-      if (buffer[ecsEnd+1] >= 0xD0 && buffer[ecsEnd+1] <= 0xD7) {
+      if (mcuNumber < lastMcu && buffer[ecsEnd+1] >= 0xD0 && buffer[ecsEnd+1] <= 0xD7) {
         /* Restart marker; continue decoding the scan data */
         index = ecsEnd+2;
       } else {
@@ -728,6 +1598,7 @@ class JPEG {
     const header = this.readScanHeader(buffer, index);
     const components = header.components;
     const interleaved = components.length > 1;
+    this.selectQuantizationTables(header);
 
     index += buffer.readUInt16BE(index+2) + 2; /* Go past end of scan header */
 
@@ -736,18 +1607,78 @@ class JPEG {
      * scan may only encode some of the coefficients for each block of the image,
      * and it may not carry all the bits for each coefficient. Also, a progressive
      * scan may be for all image components, or for one component only. */
-    const totalMcus = interleaved ? this.totalMcus : (components[0].blocksPerRow * components[0].blocksPerCol);
+    var mcuNumber = 0;
+    const [firstMcu, lastMcu] = this.neededMcuRange(header, interleaved);
+
+    while (true) {
+      const ecsEnd = this.entropyCodedSegmentEnd(buffer, index);
+      const expectedMcus = this.mcusInSegment(buffer, ecsEnd, header, mcuNumber, interleaved);
+
+      if (mcuNumber + expectedMcus > firstMcu) {
+        const segmentEnd = Math.min(mcuNumber + expectedMcus, lastMcu);
+        if (this.frameData.coding === 'huffman') {
+          this.readProgressiveHuffmanCodedSegment(header, new huffman.BitReader(buffer, index, ecsEnd), mcuNumber, segmentEnd);
+        } else {
+          this.resetArithmeticStatisticsAreas();
+          this.readProgressiveArithmeticCodedSegment(header, new arithmetic.Decoder(buffer, index, ecsEnd - index), mcuNumber, segmentEnd);
+        }
+      }
+      mcuNumber += expectedMcus;
+
+      if (mcuNumber < lastMcu && buffer[ecsEnd+1] >= 0xD0 && buffer[ecsEnd+1] <= 0xD7) {
+        index = ecsEnd+2;
+      } else {
+        break;
+      }
+    }
+
+    this.updateMissingBits(header);
+  }
+
+  readLosslessScan(buffer, index) {
+    const header = this.readScanHeader(buffer, index);
+    const components = header.components;
+    const interleaved = components.length > 1;
+
+    index += buffer.readUInt16BE(index+2) + 2; /* Go past end of scan header */
+
+    /* Differential frames in a hierarchical JPEG don't use prediction (predictor 0) */
+    if (this.frameData.differential ? (header.predictor !== 0) : (header.predictor < 1 || header.predictor > 7))
+      throw new Error(`Invalid predictor ${header.predictor} for lossless JPEG`);
+
+    /* Lossless JPEGs code the difference between each sample and a value predicted from
+     * the neighboring samples. First we decode all of those differences; then go back
+     * and reconstruct the actual samples from them */
+    var differences = components.map((c) => new Int32Array(c.samplesPerLine * c.sampleLines));
+
+    /* As for DCT-based JPEGs, an interleaved scan has one 'MCU' for each `maxHorizSampling` by
+     * `maxVertSampling` square of pixels; but a non-interleaved scan has one 'MCU' per sample */
+    const mcusPerLine = this.losslessScanGeometry(header, components[0]).mcusPerLine;
     var mcuNumber = 0;
 
+    /* Since the first line after each restart marker is predicted differently from the
+     * following lines, restarts can only occur at the beginning of a line */
+    if (this.restartInterval % mcusPerLine)
+      throw new Error("Restart interval for lossless JPEG must be a multiple of the number of MCUs per line");
+
     while (true) {
-      const [ecs, ecsEnd] = this.extractEntropyCodedSegment(buffer, index);
-      const expectedMcus = this.restartInterval ? Math.min(this.restartInterval, totalMcus - mcuNumber) : totalMcus;
+      const ecsEnd = this.entropyCodedSegmentEnd(buffer, index);
+      const expectedMcus = this.mcusInSegment(buffer, ecsEnd, header, mcuNumber, interleaved);
+      /* If the height was not known, `mcusInSegment` may have added more lines of samples */
+      differences = differences.map((diffs, i) => {
+        const length = components[i].samplesPerLine * components[i].sampleLines;
+        if (diffs.length >= length)
+          return diffs;
+        const grown = new Int32Array(Math.max(length, diffs.length * 2));
+        grown.set(diffs);
+        return grown;
+      });
 
       if (this.frameData.coding === 'huffman') {
-        this.readProgressiveHuffmanCodedSegment(header, ecs, mcuNumber, mcuNumber + expectedMcus);
+        this.readLosslessHuffmanCodedSegment(header, new huffman.BitReader(buffer, index, ecsEnd), differences, mcuNumber, mcuNumber + expectedMcus);
       } else {
         this.resetArithmeticStatisticsAreas();
-        this.readProgressiveArithmeticCodedSegment(header, ecs, mcuNumber, mcuNumber + expectedMcus);
+        this.readLosslessArithmeticCodedSegment(header, new arithmetic.Decoder(buffer, index, ecsEnd - index), differences, mcuNumber, mcuNumber + expectedMcus);
       }
       mcuNumber += expectedMcus;
 
@@ -757,40 +1688,136 @@ class JPEG {
         break;
       }
     }
+
+    for (var componentIndex = 0; componentIndex < components.length; componentIndex++)
+      this.reconstructLosslessSamples(header, components[componentIndex], differences[componentIndex]);
+  }
+
+  /* For a lossless scan, find how many samples wide and high the coded area for
+   * `component` is, and whether sample line `y` is the first one following a restart
+   * marker (or the beginning of the scan) */
+  losslessScanGeometry(header, component) {
+    const interleaved = header.components.length > 1;
+    return {
+      width: interleaved ? component.samplesPerLine : component.blocksPerRow,
+      height: interleaved ? component.sampleLines : component.blocksPerCol,
+      linesPerMcu: interleaved ? component.vertSampling : 1,
+      mcusPerLine: interleaved ? this.mcusPerRow : component.blocksPerRow
+    };
+  }
+
+  startsRestartInterval(geometry, y) {
+    if (y % geometry.linesPerMcu)
+      return false;
+    const mcuRow = y / geometry.linesPerMcu;
+    return mcuRow === 0 || (this.restartInterval !== 0 && (mcuRow * geometry.mcusPerLine) % this.restartInterval === 0);
+  }
+
+  /* The rows and columns of MCUs (for interleaved scans) which cover `this.region`, or the
+   * whole image if there is no region; the `End` values are exclusive */
+  regionMcuRange() {
+    if (!this.region)
+      return { rowStart: 0, rowEnd: Math.ceil(this.totalMcus / this.mcusPerRow), colStart: 0, colEnd: this.mcusPerRow };
+    const { x, y, width, height } = this.region;
+    const mcuWidth  = this.maxHorizSampling * this.idctSize;
+    const mcuHeight = this.maxVertSampling * this.idctSize;
+    return {
+      rowStart: Math.floor(y / mcuHeight),
+      rowEnd: Math.ceil((y + height) / mcuHeight),
+      colStart: Math.floor(x / mcuWidth),
+      colEnd: Math.ceil((x + width) / mcuWidth)
+    };
+  }
+
+  /* Return [first, last], where `first` is the number of the first MCU in a scan which is
+   * needed to decode `this.region`, and `last` is one past the last one; none of the MCUs
+   * after that need to be decoded, and if the scan has restart markers, any entropy-coded
+   * segments which end before `first` can be skipped
+   *
+   * For a non-interleaved scan, each block is one MCU; the blocks which are needed are
+   * those within the interleaved MCUs which cover the region */
+  neededMcuRange(header, interleaved) {
+    /* If we don't know how tall the image is yet (because it has a DNL segment), decode it all */
+    if (!this.region || this.frameData.height === 0)
+      return [0, Infinity];
+
+    const { rowStart, rowEnd, colStart, colEnd } = this.regionMcuRange();
+    if (interleaved)
+      return [(rowStart * this.mcusPerRow) + colStart, ((rowEnd - 1) * this.mcusPerRow) + colEnd];
+
+    const { blocksPerRow, blocksPerCol, horizSampling, vertSampling } = header.components[0];
+    const lastRow = Math.min(rowEnd * vertSampling, blocksPerCol) - 1;
+    const lastCol = Math.min(colEnd * horizSampling, blocksPerRow) - 1;
+    return [(rowStart * vertSampling * blocksPerRow) + (colStart * horizSampling), (lastRow * blocksPerRow) + lastCol + 1];
+  }
+
+  /* How many MCUs should the entropy-coded segment ending at `ecsEnd` contain, if it starts
+   * with MCU number `mcuNumber`?
+   *
+   * If a restart interval has been defined, each ECS should contain the specified
+   * number of MCUs. Otherwise, it should be enough MCUs to complete the image */
+  mcusInSegment(buffer, ecsEnd, header, mcuNumber, interleaved) {
+    const component = header.components[0];
+
+    if (this.frameData.height === 0) {
+      /* We don't know how big the image is yet; the first scan will be followed by a DNL segment
+       * which tells us. Until we get there, each ECS must end with a restart marker */
+      if (buffer[ecsEnd+1] === 0xDC) {
+        this.handleNumberOfLines(buffer, ecsEnd);
+      } else if (this.restartInterval && buffer[ecsEnd+1] >= 0xD0 && buffer[ecsEnd+1] <= 0xD7) {
+        const lastMcu = mcuNumber + this.restartInterval;
+        const mcuRows = interleaved ? Math.ceil(lastMcu / this.mcusPerRow) : Math.ceil(Math.ceil(lastMcu / component.blocksPerRow) / component.vertSampling);
+        if (this.frameData.lossless)
+          this.growSamplesArray(mcuRows);
+        else
+          this.growCoefficientsArray(mcuRows);
+      } else {
+        throw new Error("Frame header has a height of 0, but no DNL segment follows the first scan");
+      }
+
+      /* The scan header has its own copy of the data for each component */
+      for (const scanComponent of header.components) {
+        scanComponent.blocksPerCol = this.frameData.components[scanComponent.index].blocksPerCol;
+        scanComponent.sampleLines = this.frameData.components[scanComponent.index].sampleLines;
+      }
+      if (this.frameData.height === 0)
+        return this.restartInterval;
+    }
+
+    const totalMcus = interleaved ? this.totalMcus : (component.blocksPerRow * component.blocksPerCol);
+    return this.restartInterval ? Math.min(this.restartInterval, totalMcus - mcuNumber) : totalMcus;
   }
 
-  extractEntropyCodedSegment(buffer, index) {
-    /* Search for end of this entropy-coded segment */
+  /* Find the end of the entropy-coded segment starting at `index`; that is, the index
+   * of the 0xFF byte which starts the following marker */
+  entropyCodedSegmentEnd(buffer, index) {
     var ecsEnd = buffer.indexOf(0xFF, index);
     while (ecsEnd !== -1 && buffer[ecsEnd+1] == 0) /* byte stuffing */
       ecsEnd = buffer.indexOf(0xFF, ecsEnd+2);
     if (ecsEnd === -1)
       throw new Error("Unterminated scan section");
-
-    /* Extract data for ECS and remove byte stuffing (convert 0xFF00 -> 0xFF) */
-    var ecs = Buffer.allocUnsafe(ecsEnd - index);
-    buffer.copy(ecs, 0, index, ecsEnd);
-    return [this.removeByteStuffing(ecs), ecsEnd];
+    return ecsEnd;
   }
 
-  readHuffmanCodedSegment(header, ecs, nextMcu, lastMcu) {
-    /* For each image component, we need to track the last DC coefficient seen within
-     * the current scan; it is used to help calculate the next DC coefficient */
-    const prevDcCoeffs = new Array(header.components.length).fill(0);
-    const interleaved  = header.components.length > 1;
+  /* `reader` is a `huffman.BitReader` for the entropy-coded data
+   *
+   * For each image component, we need to track the last DC coefficient seen within
+   * the current scan; it is used to help calculate the next DC coefficient. Those are kept
+   * in `prevDcCoeffs`, so a segment can be decoded a few MCUs at a time by passing the same
+   * array each time. Returns the number of the next MCU which was not decoded */
+  readHuffmanCodedSegment(header, reader, nextMcu, lastMcu, prevDcCoeffs = new Array(header.components.length).fill(0)) {
+    const interleaved = header.components.length > 1;
 
     /* Decode enough blocks to form a complete MCU
      * Then start again on the next MCU, until we reach the end of this ECS */
-    var bytePos = 0, bitPos = 0, block;
-
-    while (nextMcu < lastMcu && bytePos < ecs.length) {
+    while (nextMcu < lastMcu && reader.hasMoreData()) {
       /* The scan header tells us which image components are present in this scan,
        * and in which order. Follow the specified order */
       for (var componentIndex = 0; componentIndex < header.components.length; componentIndex++) {
         const component  = header.components[componentIndex];
         const dcDecoder  = this.dcDecoders[component.dcTable];
         const acDecoder  = this.acDecoders[component.acTable];
-        const coeffs     = this.coefficients[component.id-1];
+        const coeffs     = this.coefficients[component.index];
 
         const horizBlocks = interleaved ? component.horizSampling : 1;
         const vertBlocks  = interleaved ? component.vertSampling  : 1;
@@ -799,38 +1826,42 @@ class JPEG {
 
         for (var i = 0; i < vertBlocks; i++) {
           for (var j = 0; j < horizBlocks; j++) {
+            /* A block which falls outside the bounds of the image is only here to complete the required number of
+             * blocks for each component within each MCU; decode it into a scratch block, which is thrown away */
+            const dummy  = (rowIndex + i) >= component.blocksPerCol || (colIndex + j) >= component.blocksPerRow;
+            const block  = dummy ? this.dummyCoefficients.fill(0) : coeffs;
+            const offset = dummy ? 0 : ((((rowIndex + i) * component.blocksPerRow) + colIndex + j) * 64);
             const prevDcCoeff = prevDcCoeffs[componentIndex];
-            [bytePos, bitPos, block] = this.readHuffmanSampleBlock(ecs, bytePos, bitPos, ecs.length, prevDcCoeff, dcDecoder, acDecoder);
-            prevDcCoeffs[componentIndex] = block[0];
-
-            if ((rowIndex + i) >= component.blocksPerCol || (colIndex + j) >= component.blocksPerRow) {
-              /* This is a dummy block which falls outside the bounds of the image; it's only here to complete the
-               * required number of blocks for each component within each MCU */
-              continue;
-            }
-            coeffs[rowIndex + i][colIndex + j] = block;
+            this.readHuffmanSampleBlock(reader, prevDcCoeff, dcDecoder, acDecoder, block, offset);
+            /* In differential frames, DC coefficients are not coded relative to the previous one */
+            if (!this.frameData.differential)
+              prevDcCoeffs[componentIndex] = block[offset];
           }
         }
       }
       nextMcu++;
     }
+
+    return nextMcu;
   }
 
-  readArithmeticCodedSegment(header, ecs, nextMcu, lastMcu) {
+  /* `decoder` is an `arithmetic.Decoder` for the entropy-coded data */
+  readArithmeticCodedSegment(header, decoder, nextMcu, lastMcu) {
     const prevDcCoeffs = new Array(header.components.length).fill(0);
     const prevDcDeltas = new Array(header.components.length).fill(0);
     const interleaved  = header.components.length > 1;
-    const decoder      = new arithmetic.Decoder(Array.from(ecs));
+    /* The default conditioning tables are new objects, so look them up once rather than for every MCU */
+    const dcTables     = header.components.map((c) => this.dcConditioningTable(c.dcTable));
+    const acTables     = header.components.map((c) => this.acConditioningTable(c.acTable));
 
     while (nextMcu < lastMcu) {
       for (var componentIndex = 0; componentIndex < header.components.length; componentIndex++) {
         const component  = header.components[componentIndex];
-        /* JPEG spec defines default conditioning values in F.1.4.4.1.4 and F.1.4.4.2.1 */
-        const dcTable    = this.dcTables[component.dcTable] || { lowThreshold: 0, highThreshold: 2 };
-        const acTable    = this.acTables[component.acTable] || { threshold: 5 };
-        const dcStats    = this.dcStats[component.dcTable];
-        const acStats    = this.acStats[component.acTable];
-        const coeffs     = this.coefficients[component.id-1];
+        const dcTable    = dcTables[componentIndex];
+        const acTable    = acTables[componentIndex];
+        const dcStats    = this.dcStatistics(component.dcTable);
+        const acStats    = this.acStatistics(component.acTable);
+        const coeffs     = this.coefficients[component.index];
 
         const horizBlocks = interleaved ? component.horizSampling : 1;
         const vertBlocks  = interleaved ? component.vertSampling  : 1;
@@ -839,17 +1870,14 @@ class JPEG {
 
         for (var i = 0; i < vertBlocks; i++) {
           for (var j = 0; j < horizBlocks; j++) {
-            const [prevDcCoeff, prevDcDelta] = [prevDcCoeffs[componentIndex], prevDcDeltas[componentIndex]];
-            const [block, dcDelta] = this.readArithmeticSampleBlock(decoder, prevDcCoeff, prevDcDelta, dcTable, acTable, dcStats, acStats);
-            prevDcCoeffs[componentIndex] = block[0];
+            /* Dummy blocks are decoded into a scratch block, as in `readHuffmanCodedSegment` */
+            const dummy  = (rowIndex + i) >= component.blocksPerCol || (colIndex + j) >= component.blocksPerRow;
+            const block  = dummy ? this.dummyCoefficients.fill(0) : coeffs;
+            const offset = dummy ? 0 : ((((rowIndex + i) * component.blocksPerRow) + colIndex + j) * 64);
+            const dcDelta = this.readArithmeticSampleBlock(decoder, prevDcCoeffs[componentIndex], prevDcDeltas[componentIndex], dcTable, acTable, dcStats, acStats, block, offset);
+            if (!this.frameData.differential)
+              prevDcCoeffs[componentIndex] = block[offset];
             prevDcDeltas[componentIndex] = dcDelta;
-
-            if ((rowIndex + i) >= component.blocksPerCol || (colIndex + j) >= component.blocksPerRow) {
-              /* This is a dummy block which falls outside the bounds of the image; it's only here to complete the
-               * required number of blocks for each component within each MCU */
-              continue;
-            }
-            coeffs[rowIndex + i][colIndex + j] = block;
           }
         }
       }
@@ -857,20 +1885,20 @@ class JPEG {
     }
   }
 
-  readProgressiveHuffmanCodedSegment(header, ecs, nextMcu, lastMcu) {
+  readProgressiveHuffmanCodedSegment(header, reader, nextMcu, lastMcu) {
     /* Which coefficients are encoded in this scan? And which bits for each coefficient? */
     const { components, spectralStart, spectralEnd, approxBitLow, approxBitHigh } = header;
 
     const prevDcCoeffs = (approxBitHigh === 0) && new Array(components.length).fill(0);
     const interleaved  = header.components.length > 1;
 
-    var bytePos = 0, bitPos = 0, zeroBands = 0, band;
-    while (nextMcu < lastMcu && bytePos < ecs.length) {
+    var zeroBands = 0;
+    while (nextMcu < lastMcu && reader.hasMoreData()) {
       for (var componentIndex = 0; componentIndex < components.length; componentIndex++) {
         const component  = components[componentIndex];
         const dcDecoder  = this.dcDecoders[component.dcTable];
         const acDecoder  = this.acDecoders[component.acTable];
-        const coeffs     = this.coefficients[component.id-1];
+        const coeffs     = this.coefficients[component.index];
 
         const horizBlocks = interleaved ? component.horizSampling : 1;
         const vertBlocks  = interleaved ? component.vertSampling  : 1;
@@ -879,8 +1907,10 @@ class JPEG {
 
         for (var i = 0; i < vertBlocks; i++) {
           for (var j = 0; j < horizBlocks; j++) {
-            const dummyBlock = ((rowIndex + i) >= component.blocksPerCol) || ((colIndex + j) >= component.blocksPerRow);
-            const block = dummyBlock ? (new Array(64).fill(0)) : coeffs[rowIndex + i][colIndex + j];
+            /* Dummy blocks are decoded into a scratch block, as in `readHuffmanCodedSegment` */
+            const dummy  = (rowIndex + i) >= component.blocksPerCol || (colIndex + j) >= component.blocksPerRow;
+            const block  = dummy ? this.dummyCoefficients.fill(0) : coeffs;
+            const offset = dummy ? 0 : ((((rowIndex + i) * component.blocksPerRow) + colIndex + j) * 64);
 
             if (approxBitHigh === 0) {
               /* This is the first scan which provides approximate coefficients with
@@ -892,11 +1922,9 @@ class JPEG {
                 zeroBands--;
               } else {
                 const prevDcCoeff = prevDcCoeffs[componentIndex];
-                [bytePos, bitPos, band, zeroBands] = this.readHuffmanSampleBlock(ecs, bytePos, bitPos, ecs.length, prevDcCoeff, dcDecoder, acDecoder, spectralStart, spectralEnd);
-                if (spectralStart === 0)
-                  prevDcCoeffs[componentIndex] = band[0];
-                if (block)
-                  block.splice(spectralStart, band.length, ...band);
+                zeroBands = this.readHuffmanSampleBlock(reader, prevDcCoeff, dcDecoder, acDecoder, block, offset, spectralStart, spectralEnd);
+                if (spectralStart === 0 && !this.frameData.differential)
+                  prevDcCoeffs[componentIndex] = block[offset];
               }
             } else {
               /* This is a subsequent 'refinement' scan which provides more low-end bits for each
@@ -905,10 +1933,10 @@ class JPEG {
                 /* No coefficients which are currently zero will become non-zero, but we still do
                  * need to add one 'refinement' low-order bit to each non-zero coefficient
                  * (Even though this is a so-called 'zero band') */
-                [bytePos, bitPos] = this.readSuccessiveApproximationBits(block, spectralStart, spectralEnd + 1, false, ecs, bytePos, bitPos);
+                this.readSuccessiveApproximationBits(block, offset, spectralStart, spectralEnd + 1, false, reader);
                 zeroBands--;
               } else {
-                [bytePos, bitPos, zeroBands] = this.refineApproximateHuffmanCoefficients(block, ecs, bytePos, bitPos, ecs.length, dcDecoder, acDecoder, spectralStart, spectralEnd);
+                zeroBands = this.refineApproximateHuffmanCoefficients(block, offset, reader, acDecoder, spectralStart, spectralEnd);
               }
             }
           }
@@ -918,22 +1946,24 @@ class JPEG {
     }
   }
 
-  readProgressiveArithmeticCodedSegment(header, ecs, nextMcu, lastMcu) {
+  readProgressiveArithmeticCodedSegment(header, decoder, nextMcu, lastMcu) {
     const { components, spectralStart, spectralEnd, approxBitLow, approxBitHigh } = header;
 
     const prevDcCoeffs = (approxBitHigh === 0) && new Array(components.length).fill(0);
     const prevDcDeltas = (approxBitHigh === 0) && new Array(components.length).fill(0);
     const interleaved  = header.components.length > 1;
-    const decoder      = new arithmetic.Decoder(Array.from(ecs));
+    /* As in `readArithmeticCodedSegment` */
+    const dcTables     = components.map((c) => this.dcConditioningTable(c.dcTable));
+    const acTables     = components.map((c) => this.acConditioningTable(c.acTable));
 
     while (nextMcu < lastMcu) {
       for (var componentIndex = 0; componentIndex < components.length; componentIndex++) {
         const component = components[componentIndex];
-        const dcTable   = this.dcTables[component.dcTable] || { lowThreshold: 0, highThreshold: 2 };
-        const acTable   = this.acTables[component.acTable] || { threshold: 5 };
-        const dcStats   = this.dcStats[component.dcTable];
-        const acStats   = this.acStats[component.acTable];
-        const coeffs    = this.coefficients[component.id-1];
+        const dcTable   = dcTables[componentIndex];
+        const acTable   = acTables[componentIndex];
+        const dcStats   = this.dcStatistics(component.dcTable);
+        const acStats   = this.acStatistics(component.acTable);
+        const coeffs    = this.coefficients[component.index];
 
         const horizBlocks = interleaved ? component.horizSampling : 1;
         const vertBlocks  = interleaved ? component.vertSampling  : 1;
@@ -942,31 +1972,30 @@ class JPEG {
 
         for (var i = 0; i < vertBlocks; i++) {
           for (var j = 0; j < horizBlocks; j++) {
-            const dummyBlock = ((rowIndex + i) >= component.blocksPerCol) || ((colIndex + j) >= component.blocksPerRow);
-            const block = dummyBlock ? [] : coeffs[rowIndex + i][colIndex + j];
+            /* Dummy blocks are decoded into a scratch block, as in `readHuffmanCodedSegment` */
+            const dummy  = (rowIndex + i) >= component.blocksPerCol || (colIndex + j) >= component.blocksPerRow;
+            const block  = dummy ? this.dummyCoefficients.fill(0) : coeffs;
+            const offset = dummy ? 0 : ((((rowIndex + i) * component.blocksPerRow) + colIndex + j) * 64);
 
             if (approxBitHigh === 0) {
               /* This is the first progressive scan covering this range of coefficients;
                * Retrieve the high-order bits for each one */
-              const [prevDcCoeff, prevDcDelta] = [prevDcCoeffs[componentIndex], prevDcDeltas[componentIndex]];
-              const [band, dcDelta] = this.readArithmeticSampleBlock(decoder, prevDcCoeff, prevDcDelta, dcTable, acTable, dcStats, acStats, spectralStart, spectralEnd);
+              const dcDelta = this.readArithmeticSampleBlock(decoder, prevDcCoeffs[componentIndex], prevDcDeltas[componentIndex], dcTable, acTable, dcStats, acStats, block, offset, spectralStart, spectralEnd);
               if (spectralStart === 0) {
-                prevDcCoeffs[componentIndex] = band[0];
+                if (!this.frameData.differential)
+                  prevDcCoeffs[componentIndex] = block[offset];
                 prevDcDeltas[componentIndex] = dcDelta;
               }
-              if (block)
-                block.splice(spectralStart, band.length, ...band);
             } else {
               /* Successive approximation; refine approximate coefficients by adding low-order bits
                * First add a low-order bit to the DC coefficient, if it is included in this scan */
               if (spectralStart === 0) {
-                const [lowBit,] = decoder.decodeDecision(0x5A1D, false)
-                block[0] = (block[0] << 1) | (lowBit ? 1 : 0);
+                block[offset] = (block[offset] << 1) | (decoder.decodeDecision(0x5A1D, false) ? 1 : 0);
               }
 
               /* Now add low-order bits to the AC coefficients in this scan */
               var trailingZeroIndex = spectralEnd;
-              while (!block[trailingZeroIndex] && trailingZeroIndex >= spectralStart)
+              while (!block[offset + trailingZeroIndex] && trailingZeroIndex >= spectralStart)
                 trailingZeroIndex--;
               trailingZeroIndex++;
 
@@ -980,20 +2009,20 @@ class JPEG {
                  * Also, if we find a zero coefficient, check if it should be made non-zero, and find it
                  * should not, then we skip the 'EOB?' check on the next iteration, since EOB cannot occur
                  * immediately after a zero coefficient */
-                if ((zigZagIndex === trailingZeroIndex || (zigZagIndex > trailingZeroIndex && block[zigZagIndex - 1] !== 0)) && decoder.decodeBit(acStats, SE)) {
+                const index = offset + zigZagIndex;
+                if ((zigZagIndex === trailingZeroIndex || (zigZagIndex > trailingZeroIndex && block[index - 1] !== 0)) && decoder.decodeBit(acStats, SE)) {
                   /* We've reached end of band; the remaining bits are all zeroes */
                   while (zigZagIndex <= spectralEnd)
-                    block[zigZagIndex++] <<= 1;
+                    block[offset + zigZagIndex++] <<= 1;
                   break;
                 }
 
-                if (block[zigZagIndex] !== 0) {
-                  block[zigZagIndex] = (block[zigZagIndex] << 1) + (decoder.decodeBit(acStats, SE+2) ? (block[zigZagIndex] > 0 ? 1 : -1) : 0);
+                if (block[index] !== 0) {
+                  block[index] = (block[index] << 1) + (decoder.decodeBit(acStats, SE+2) ? (block[index] > 0 ? 1 : -1) : 0);
                 } else if (decoder.decodeBit(acStats, SE+1)) {
                   /* This coefficient was zero in previous scans, but now we have reached its MSB
                    * Determine if it is positive or negative */
-                  const [signBit,] = decoder.decodeDecision(0x5A1D, false);
-                  block[zigZagIndex] = signBit ? -1 : 1;
+                  block[index] = decoder.decodeDecision(0x5A1D, false) ? -1 : 1;
                 }
               }
             }
@@ -1004,56 +2033,167 @@ class JPEG {
     }
   }
 
-  /* JPEG encodes 0xFF bytes in compressed data as 0xFF00;
-   * reverse that encoding to recover the original compressed data
-   *
-   * This function modifies contents of `buffer` */
-  removeByteStuffing(buffer) {
-    var ff = buffer.indexOf(0xFF, 0);
-    if (ff === -1 || buffer[ff+1] !== 0)
-      return buffer; /* Nothing to remove */
-    var searchIndex = ff+2; /* Where to start next search for 0xFF */
+  readLosslessHuffmanCodedSegment(header, reader, differences, nextMcu, lastMcu) {
+    const interleaved = header.components.length > 1;
 
-    while (true) {
-      var ff2 = buffer.indexOf(0xFF, searchIndex);
+    while (nextMcu < lastMcu && reader.hasMoreData()) {
+      for (var componentIndex = 0; componentIndex < header.components.length; componentIndex++) {
+        const component = header.components[componentIndex];
+        const decoder   = this.dcDecoders[component.dcTable];
+        const diffs     = differences[componentIndex];
+
+        /* In a lossless JPEG, each 'block' is just a single sample */
+        const horizSamples = interleaved ? component.horizSampling : 1;
+        const vertSamples  = interleaved ? component.vertSampling  : 1;
+        const rowIndex     = interleaved ? (Math.floor(nextMcu / this.mcusPerRow) * component.vertSampling) : Math.floor(nextMcu / component.blocksPerRow);
+        const colIndex     = interleaved ? ((nextMcu % this.mcusPerRow) * component.horizSampling) : (nextMcu % component.blocksPerRow);
+
+        for (var i = 0; i < vertSamples; i++) {
+          for (var j = 0; j < horizSamples; j++) {
+            /* Differences are coded just like DC coefficients in a DCT-based JPEG; but
+             * an extra magnitude category of 16 is allowed, which means 32768 */
+            const magnitude = reader.decodeHuffman(decoder);
+            if (magnitude === 16) {
+              diffs[(rowIndex + i) * component.samplesPerLine + colIndex + j] = 32768;
+            } else {
+              diffs[(rowIndex + i) * component.samplesPerLine + colIndex + j] = this.decodeMagnitudeAndBits(magnitude, reader.readBits(magnitude));
+            }
+          }
+        }
+      }
+      nextMcu++;
+    }
+  }
 
-      if (ff2 == -1 || buffer[ff2+1] !== 0) {
-        /* We are finished, just need to copy down any trailing bytes and trim buffer length */
-        buffer.copy(buffer, ff+1, searchIndex);
-        return buffer.slice(0, ff + buffer.length - searchIndex + 1);
-      } else {
-        /* Copy down the next range of good data, overwriting unwanted zero byte */
-        buffer.copy(buffer, ff+1, searchIndex, ff2+1);
+  readLosslessArithmeticCodedSegment(header, decoder, differences, nextMcu, lastMcu) {
+    const interleaved = header.components.length > 1;
+    const geometries  = header.components.map((c) => this.losslessScanGeometry(header, c));
+    const dcTables    = header.components.map((c) => this.dcConditioningTable(c.dcTable));
+
+    while (nextMcu < lastMcu) {
+      for (var componentIndex = 0; componentIndex < header.components.length; componentIndex++) {
+        const component = header.components[componentIndex];
+        const geometry  = geometries[componentIndex];
+        const dcTable   = dcTables[componentIndex];
+        const stats     = this.losslessStatistics(component.dcTable);
+        const diffs     = differences[componentIndex];
+        const lineWidth = component.samplesPerLine;
+
+        const horizSamples = interleaved ? component.horizSampling : 1;
+        const vertSamples  = interleaved ? component.vertSampling  : 1;
+        const rowIndex     = interleaved ? (Math.floor(nextMcu / this.mcusPerRow) * component.vertSampling) : Math.floor(nextMcu / component.blocksPerRow);
+        const colIndex     = interleaved ? ((nextMcu % this.mcusPerRow) * component.horizSampling) : (nextMcu % component.blocksPerRow);
+
+        for (var i = 0; i < vertSamples; i++) {
+          for (var j = 0; j < horizSamples; j++) {
+            const x = colIndex + j, y = rowIndex + i;
+            /* Probability estimates are conditioned on the differences which were decoded for
+             * the samples to the left and above; for the first line after a restart, the line
+             * above is treated as if all its differences were zero (T.81, section H.1.4.3.1) */
+            const Da = x ? diffs[y * lineWidth + x - 1] : 0;
+            const Db = this.startsRestartInterval(geometry, y) ? 0 : diffs[(y - 1) * lineWidth + x];
+            diffs[y * lineWidth + x] = decoder.decodeLosslessDifference(stats, Da, Db, dcTable.lowThreshold, dcTable.highThreshold);
+          }
+        }
+      }
+      nextMcu++;
+    }
+  }
+
+  /* The statistical model for lossless JPEGs needs a bigger statistics area than
+   * that used for DC coefficients; see comments in `arithmetic.js` */
+  losslessStatistics(tableNumber) {
+    const stats = this.dcStats[tableNumber];
+    if (stats && stats.states.length >= arithmetic.Decoder.losslessContexts)
+      return stats;
+    return this.dcStats[tableNumber] = new arithmetic.Statistics(arithmetic.Decoder.losslessContexts);
+  }
+
+  /* Add each decoded difference from a lossless scan to the value predicted for that sample
+   * (T.81, section H.1.2.1) */
+  reconstructLosslessSamples(header, component, diffs) {
+    const { predictor, pointTransform } = header;
+    const geometry  = this.losslessScanGeometry(header, component);
+    const samples   = this.samples[component.index];
+    const lineWidth = component.samplesPerLine;
+
+    for (var y = 0; y < geometry.height; y++) {
+      const firstLine = this.startsRestartInterval(geometry, y);
+
+      for (var x = 0; x < geometry.width; x++) {
+        const index = y * lineWidth + x;
+        const Ra = samples[index - 1];             /* Left */
+        const Rb = samples[index - lineWidth];     /* Above */
+        const Rc = samples[index - lineWidth - 1]; /* Above and to the left */
+
+        var prediction;
+        if (predictor === 0) {
+          prediction = 0;
+        } else if (firstLine) {
+          /* The first line after a restart has no line above it to predict from;
+           * the very first sample is predicted to be halfway through the possible range */
+          prediction = x ? Ra : 1 << (this.frameData.precision - pointTransform - 1);
+        } else if (x === 0) {
+          prediction = Rb;
+        } else {
+          switch (predictor) {
+            case 1: prediction = Ra; break;
+            case 2: prediction = Rb; break;
+            case 3: prediction = Rc; break;
+            case 4: prediction = Ra + Rb - Rc; break;
+            case 5: prediction = Ra + ((Rb - Rc) >> 1); break;
+            case 6: prediction = Rb + ((Ra - Rc) >> 1); break;
+            case 7: prediction = (Ra + Rb) >> 1; break;
+          }
+        }
+
+        /* Differences are calculated modulo 2^16 */
+        samples[index] = (prediction + diffs[index]) & 0xFFFF;
       }
+    }
 
-      ff = ff + ff2 - searchIndex + 1; /* Position which 0xFF was just copied down to */
-      searchIndex = ff2+2; /* Where next range of good bytes starts from */
+    /* Samples were coded with the low `pointTransform` bits removed;
+     * this must be done after reconstruction, since predictions are based on the coded values */
+    if (pointTransform) {
+      for (var y = 0; y < geometry.height; y++)
+        for (var x = 0; x < geometry.width; x++)
+          samples[y * lineWidth + x] <<= pointTransform;
     }
   }
 
   /* When different image components have a different resolution, take one MCU's
    * worth of 8x8 blocks of samples and scale each component as needed so all are
-   * at the same resolution */
-  alignSamples(components, samples) {
-    const result = new Array(components.length);
-
+   * at the same resolution
+   * (When decoding at a reduced scale, the blocks are `idctSize` by `idctSize` instead)
+   *
+   * A component's blocks in the MCU form a grid of (horizSampling * 8) by (vertSampling * 8)
+   * samples, which covers the same area as the whole MCU. So pixel X of the MCU lies on
+   * sample floor(X * horizSampling / maxHorizSampling), and likewise in the Y direction.
+   * That also works when the ratio between sampling factors is not a whole number, like 3:2
+   * (libjpeg refuses to decode such images). Then some samples are repeated more times than
+   * others; for 3:2, the first of each pair of samples covers 2 pixels and the second covers 1
+   *
+   * The aligned samples for each component are stored in `result`, which is an array of
+   * arrays (one for each component) with one element for each pixel covered by the MCU */
+  alignSamples(components, samples, result) {
+    const size = this.idctSize;
+    const mcuWidth  = this.maxHorizSampling * size;
+    const mcuHeight = this.maxVertSampling * size;
     var blockIndex = 0;
     for (var i = 0; i < components.length; i++) {
-      const array = result[i] = new Array(this.mcuPixelWidth * this.mcuPixelHeight);
+      const array = result[i];
       const component = components[i];
-      /* Iterate over blocks which carry data for this image component */
-      for (var blockY = 0; blockY < component.vertSampling; blockY++) {
-        for (var blockX = 0; blockX < component.horizSampling; blockX++) {
-          const block  = samples[blockIndex++];
-          const xScale = this.maxHorizSampling / component.horizSampling;
-          const yScale = this.maxVertSampling  / component.vertSampling;
-          for (var y = 0; y < 8 * yScale; y++) {
-            for (var x = 0; x < 8 * xScale; x++) {
-              array[(y + (blockY * 8 * yScale))*this.mcuPixelWidth + (x + (blockX * 8 * xScale))] = block[Math.floor(y / yScale)*8 + Math.floor(x / xScale)];
-            }
-          }
+      for (var y = 0; y < mcuHeight; y++) {
+        const sampleY = Math.floor(y * component.vertSampling / this.maxVertSampling);
+        const blockRow = Math.floor(sampleY / size);
+        for (var x = 0; x < mcuWidth; x++) {
+          const sampleX = Math.floor(x * component.horizSampling / this.maxHorizSampling);
+          const block = samples[blockIndex + blockRow * component.horizSampling + Math.floor(sampleX / size)];
+          array[y*mcuWidth + x] = block[(sampleY % size)*size + (sampleX % size)];
         }
       }
+      /* Go on to the blocks which carry data for the next image component */
+      blockIndex += component.horizSampling * component.vertSampling;
     }
 
     return result;
@@ -1068,9 +2208,10 @@ class JPEG {
 
   /* Entropy coded segments */
 
-  readHuffmanSampleBlock(buffer, index, bitIndex, end, prevDcCoeff, dcDecoder, acDecoder, spectralStart=0, spectralEnd=63) {
+  readHuffmanSampleBlock(reader, prevDcCoeff, dcDecoder, acDecoder, block, offset, spectralStart=0, spectralEnd=63) {
     /* For a baseline scan, read a 8x8 block of 64 coefficients
      * For a progressive scan, read only coefficients with indices from `spectralStart`..`spectralEnd`
+     * They are stored in `block`, with coefficient 0 of the block going at index `offset`
      *
      * First is the DC coefficient for this block
      *
@@ -1081,113 +2222,107 @@ class JPEG {
      * Category 0 is for value 0 only, category 1 is for -1 and 1, category 2
      * is for -3, -2, 2, and 3, etc...
      *
-     * Further, it is offset by the value of the DC coefficient for the previous block */
+     * Further, it is offset by the value of the DC coefficient for the previous block
+     *
+     * Returns the number of following blocks whose coefficients in this range are all zero
+     * (which can only happen in a progressive scan) */
 
-    const coefficients = [];
-    var magnitude, extraBits;
+    var zigZagIndex = spectralStart;
     if (spectralStart === 0) {
-      [index, bitIndex, magnitude] = huffman.decodeOne(buffer, index, end, bitIndex, dcDecoder);
-      [index, bitIndex, extraBits] = this.readBits(buffer, index, bitIndex, magnitude);
-      const dcCoeff = this.decodeMagnitudeAndBits(magnitude, extraBits) + prevDcCoeff;
-      coefficients.push(dcCoeff);
+      const magnitude = reader.decodeHuffman(dcDecoder);
+      block[offset] = this.decodeMagnitudeAndBits(magnitude, reader.readBits(magnitude)) + prevDcCoeff;
+      zigZagIndex++;
     }
 
     /* Now we start finding the AC coefficients for this block */
-    const nCoefficients = spectralEnd - spectralStart + 1;
-    while (coefficients.length < nCoefficients) {
+    while (zigZagIndex <= spectralEnd) {
       /* Read an 8-bit, huffman-coded value in which the high 4 bits are the number
        * of preceding zeros (i.e. run-length encoding for zeroes only) and the low
        * 4 bits are the magnitude of the following AC coefficient */
-      var composite;
-      [index, bitIndex, composite] = huffman.decodeOne(buffer, index, end, bitIndex, acDecoder);
+      const composite = reader.decodeHuffman(acDecoder);
 
       /* Check for special values */
       if (composite === 0) {
         /* 0 means 'end of block'; fill the rest of the AC coefficients with zeroes */
-        while (coefficients.length < nCoefficients)
-          coefficients.push(0);
+        while (zigZagIndex <= spectralEnd)
+          block[offset + zigZagIndex++] = 0;
       } else if (composite === 0xF0) {
         /* 0xF0 means '16 consecutive zeroes' */
         for (var i = 0; i < 16; i++)
-          coefficients.push(0);
+          block[offset + zigZagIndex++] = 0;
       } else if ((composite & 0xF) === 0) {
         /* For progressive scans only; this encodes a run of 'end of band' markers
          * It means that for some number of successive blocks, all the coefficients
          * between `spectralStart` and `spectralEnd` are zero */
-        var zeroBands;
-        [index, bitIndex, zeroBands] = this.readBits(buffer, index, bitIndex, composite >> 4);
-        zeroBands += (1 << (composite >> 4)) - 1; /* Subtract one for the current band */
-        while (coefficients.length < nCoefficients)
-          coefficients.push(0);
-        return [index, bitIndex, coefficients, zeroBands];
+        const zeroBands = reader.readBits(composite >> 4) + (1 << (composite >> 4)) - 1; /* Subtract one for the current band */
+        while (zigZagIndex <= spectralEnd)
+          block[offset + zigZagIndex++] = 0;
+        return zeroBands;
       } else {
         /* Regular AC coefficient */
         var precedingZeroes = composite >> 4;
-        magnitude = composite & 0xF;
-        [index, bitIndex, extraBits] = this.readBits(buffer, index, bitIndex, magnitude);
-        const acCoeff = this.decodeMagnitudeAndBits(magnitude, extraBits);
+        const magnitude = composite & 0xF;
+        const acCoeff = this.decodeMagnitudeAndBits(magnitude, reader.readBits(magnitude));
 
         while (precedingZeroes-- > 0)
-          coefficients.push(0);
-        coefficients.push(acCoeff);
+          block[offset + zigZagIndex++] = 0;
+        block[offset + zigZagIndex++] = acCoeff;
       }
     }
 
-    return [index, bitIndex, coefficients];
+    /* In a corrupt file, a run of zeroes could go past the end of the block */
+    if (zigZagIndex > spectralEnd + 1)
+      throw new Error("Run of zero coefficients goes past end of block");
+
+    return 0;
   }
 
-  readArithmeticSampleBlock(decoder, prevDcCoeff, prevDcDelta, dcTable, acTable, dcStats, acStats, spectralStart=0, spectralEnd=63) {
-    var dcCoeff, dcDelta;
+  /* Like `readHuffmanSampleBlock`, the coefficients are stored in `block` starting from
+   * index `offset`; returns the difference between this DC coefficient and the previous one */
+  readArithmeticSampleBlock(decoder, prevDcCoeff, prevDcDelta, dcTable, acTable, dcStats, acStats, block, offset, spectralStart=0, spectralEnd=63) {
+    var dcDelta;
     if (spectralStart === 0) {
       dcDelta = decoder.decodeDCCoefficientDelta(dcStats, prevDcDelta, dcTable.lowThreshold, dcTable.highThreshold);
-      dcCoeff = prevDcCoeff + dcDelta;
+      block[offset] = prevDcCoeff + dcDelta;
     }
 
-    var coefficients;
     if (spectralEnd !== 0)
-      coefficients = decoder.decodeACCoefficients(acStats, acTable.threshold, (spectralStart === 0) ? 1 : spectralStart, spectralEnd);
-    else
-      coefficients = [];
+      decoder.decodeACCoefficients(acStats, acTable.threshold, block, offset, (spectralStart === 0) ? 1 : spectralStart, spectralEnd);
 
-    if (spectralStart === 0) {
-      coefficients.unshift(dcCoeff);
-    }
-    return [coefficients, dcDelta];
+    return dcDelta;
   }
 
-  refineApproximateHuffmanCoefficients(coefficients, buffer, index, bitIndex, end, dcDecoder, acDecoder, spectralStart, spectralEnd) {
+  /* `coefficients[offset]` is coefficient 0 of the block being refined
+   * Returns the number of following blocks which are in a 'zero band' (see `readHuffmanSampleBlock`) */
+  refineApproximateHuffmanCoefficients(coefficients, offset, reader, acDecoder, spectralStart, spectralEnd) {
     var zigZagIndex = spectralStart;
 
     if (zigZagIndex === 0) {
       /* A different encoding is used for successive approximation of DC coefficients;
        * the added bits for each DC coefficient are simply concatenated, without any
        * compression or anything else special */
-      var bit;
-      [index, bitIndex, bit] = this.readBits(buffer, index, bitIndex, 1);
-      coefficients[0] = (coefficients[0] << 1) | bit;
+      coefficients[offset] = (coefficients[offset] << 1) | reader.readBit();
       zigZagIndex++;
     }
 
     while (zigZagIndex <= spectralEnd) {
-      var composite;
-      [index, bitIndex, composite] = huffman.decodeOne(buffer, index, end, bitIndex, acDecoder);
+      const composite = reader.decodeHuffman(acDecoder);
 
       if (composite === 0) {
         /* End of block */
-        return this.readSuccessiveApproximationBits(coefficients, zigZagIndex, spectralEnd + 1, false, buffer, index, bitIndex);
+        this.readSuccessiveApproximationBits(coefficients, offset, zigZagIndex, spectralEnd + 1, false, reader);
+        return 0;
       } else if ((composite & 0xF) === 0 && composite !== 0xF0) {
-        var zeroBands;
-        [index, bitIndex, zeroBands] = this.readBits(buffer, index, bitIndex, composite >> 4);
-        zeroBands += (1 << (composite >> 4)) - 1; /* Subtract one for the current band */
-        [index, bitIndex] = this.readSuccessiveApproximationBits(coefficients, zigZagIndex, spectralEnd + 1, false, buffer, index, bitIndex);
-        return [index, bitIndex, zeroBands];
+        const zeroBands = reader.readBits(composite >> 4) + (1 << (composite >> 4)) - 1; /* Subtract one for the current band */
+        this.readSuccessiveApproximationBits(coefficients, offset, zigZagIndex, spectralEnd + 1, false, reader);
+        return zeroBands;
       } else if (composite === 0xF0) {
         /* Skip 16 zeroes, adding a successive approximation bit to each non-zero coefficient which
          * we pass along the way; don't add a new non-zero coefficient after the 16 zeroes */
         var skipPositions = 0;
         var skipZeroes = 16;
         while (zigZagIndex+skipPositions < spectralEnd) {
-          if (coefficients[zigZagIndex + skipPositions] === 0) {
+          if (coefficients[offset + zigZagIndex + skipPositions] === 0) {
             skipZeroes--;
             if (skipZeroes === 0) {
               skipPositions++;
@@ -1196,7 +2331,7 @@ class JPEG {
           }
           skipPositions++;
         }
-        [index, bitIndex] = this.readSuccessiveApproximationBits(coefficients, zigZagIndex, zigZagIndex + skipPositions, false, buffer, index, bitIndex);
+        this.readSuccessiveApproximationBits(coefficients, offset, zigZagIndex, zigZagIndex + skipPositions, false, reader);
         zigZagIndex += skipPositions;
       } else {
         /* Skip some number of zeroes, adding a successive approximation bit to each non-zero
@@ -1207,100 +2342,36 @@ class JPEG {
         var skipZeroes = composite >> 4;
         var skipPositions = 0;
         while (zigZagIndex+skipPositions < spectralEnd) {
-          if (coefficients[zigZagIndex + skipPositions] === 0) {
+          if (coefficients[offset + zigZagIndex + skipPositions] === 0) {
             if (skipZeroes === 0)
               break;
             skipZeroes--;
           }
           skipPositions++;
         }
-        [index, bitIndex] = this.readSuccessiveApproximationBits(coefficients, zigZagIndex, zigZagIndex + skipPositions, true, buffer, index, bitIndex);
+        this.readSuccessiveApproximationBits(coefficients, offset, zigZagIndex, zigZagIndex + skipPositions, true, reader);
         zigZagIndex += skipPositions + 1;
       }
     }
 
-    return [index, bitIndex];
+    return 0;
   }
 
   /* For progressive scans which use successive approximation; read a series of bits
    * which need to be appended to the low-end of non-zero coefficients
    *
    * They may be preceded by a single bit which encodes a 1/-1 value for the last
-   * coefficient in the range of interest */
-  readSuccessiveApproximationBits(coefficients, start, end, readSignBit, buffer, index, bitIndex) {
-    var bitsNeeded = readSignBit ? 1 : 0;
-    for (var i = start; i < end; i++)
-      if (coefficients[i] !== 0)
-        bitsNeeded++;
-
-    while (bitsNeeded > 0) {
-      /* Bitwise arithmetic in JavaScript simply does not work on bitfields larger than 32 bits
-       * (Even if we're running on a 64-bit CPU...) */
-      const nBits = Math.min(bitsNeeded, 31);
-      var bits;
-      [index, bitIndex, bits] = this.readBits(buffer, index, bitIndex, nBits);
-      bitsNeeded -= nBits;
-      var mask = 1 << (nBits - 1);
-
-      if (readSignBit) {
-        coefficients[end] = ((bits & mask) !== 0) ? 1 : -1;
-        mask >>= 1;
-        readSignBit = false;
-      }
-
-      for (var i = start; i < end; i++) {
-        if (coefficients[i] !== 0) {
-          coefficients[i] = (coefficients[i] << 1) + (((bits & mask) !== 0) ? (coefficients[i] > 0 ? 1 : -1) : 0);
-          mask >>= 1;
-          if (!mask) {
-            /* We have used up the 31 bits retrieved above; go around the `while` loop
-             * again and get more data bits to refine the coefficient values */
-            start = i + 1;
-            break;
-          }
-        }
-      }
-    }
-
-    return [index, bitIndex];
-  }
-
-  /* Read some number of consecutive bits out of `buffer`, starting from specified position */
-  readBits(buffer, index, bitIndex, nBits) {
-    if (nBits > 32)
-      throw new Error("readBits can only return up to 32 bits at a time");
-    var result = 0;
-
-    /* Read some bits from the last part of a byte which was already partially consumed */
-    if (bitIndex) {
-      if (8 - bitIndex >= nBits) {
-        result = (buffer[index] >> (8 - bitIndex - nBits)) & ((1 << nBits) - 1);
-        bitIndex += nBits;
-        if (bitIndex == 8) {
-          index++;
-          bitIndex = 0;
-        }
-        return [index, bitIndex, result];
-      } else {
-        result = buffer[index++] & ((1 << (8 - bitIndex)) - 1);
-        nBits -= (8 - bitIndex);
-        bitIndex = 0;
-      }
-    }
-
-    /* Read some number of whole bytes */
-    while (nBits >= 8) {
-      result = (result << 8) | buffer[index++];
-      nBits -= 8;
-    }
+   * coefficient in the range of interest
+   *
+   * `start` and `end` are zig-zag indices within the block which starts at `coefficients[offset]` */
+  readSuccessiveApproximationBits(coefficients, offset, start, end, readSignBit, reader) {
+    if (readSignBit)
+      coefficients[offset + end] = reader.readBit() ? 1 : -1;
 
-    /* Then any bits we need from the first part of the subsequent byte */
-    if (nBits) {
-      result = (result << nBits) | (buffer[index] >> (8 - nBits));
-      bitIndex = nBits;
+    for (var i = offset + start; i < offset + end; i++) {
+      if (coefficients[i] !== 0)
+        coefficients[i] = (coefficients[i] << 1) + (reader.readBit() ? (coefficients[i] > 0 ? 1 : -1) : 0);
     }
-
-    return [index, bitIndex, result];
   }
 
   /* This type of encoding is used for DC and AC coefficients */
@@ -1342,9 +2413,78 @@ class JPEG {
 
   /* Discrete cosine transform */
 
-  inverseDCT(coefficients) {
-    const samples = new Array(64).fill(0);
+  /* Ways of computing the inverse DCT, which can be selected using the `idct` option */
+  static idctMethods = new Set(['islow', 'ifast', 'float', 'exact']);
+
+  /* Scales which can be selected using the `scale` option, and the size of the blocks
+   * of samples which the IDCT produces for each one */
+  static scales = new Map([[1, 8], [1/2, 4], [1/4, 2], [1/8, 1]]);
+
+  /* Width or height of the image (or part of it) when decoded at the chosen scale */
+  scaledSize(length) {
+    return Math.ceil(length * this.idctSize / 8);
+  }
+
+  /* [width, height] of the decoded image, after applying the `scale` and `region` options */
+  outputSize() {
+    if (this.region)
+      return [this.region.width, this.region.height];
+    const { width, height } = this.hierarchy || this.frameData;
+    return [this.scaledSize(width), this.scaledSize(height)];
+  }
+
+  /* Convert 64 dequantized coefficients (in natural order) to samples, which have not
+   * been level-shifted yet; they are stored in `output` (64 elements, or `idctSize * idctSize`
+   * for reduced-size decoding), which is returned */
+  inverseDCT(coefficients, output) {
+    if (this.idctSize !== 8)
+      return this.reducedInverseDCT(coefficients, output);
+
+    switch (this.idctMethod) {
+      case 'islow':
+        return idct.integerIDCT(coefficients, this.frameData.precision, output);
+      case 'ifast':
+        return idct.fastIDCT(coefficients, this.frameData.precision, output);
+      case 'float':
+        return idct.floatIDCT(coefficients, output);
+      default:
+        return this.exactInverseDCT(coefficients, output);
+    }
+  }
+
+  /* Like libjpeg-turbo, use the integer reduced-size IDCTs for both 'islow' and 'ifast'; the
+   * floating-point one is exact, so it is used for both 'float' and 'exact' */
+  reducedInverseDCT(coefficients, output) {
+    if (this.idctMethod === 'islow' || this.idctMethod === 'ifast') {
+      switch (this.idctSize) {
+        case 4:
+          return idct.integerIDCT4x4(coefficients, this.frameData.precision, output);
+        case 2:
+          return idct.integerIDCT2x2(coefficients, this.frameData.precision, output);
+        default:
+          return idct.integerIDCT1x1(coefficients, output);
+      }
+    }
+    return idct.reducedFloatIDCT(coefficients, this.idctSize, output);
+  }
+
+  /* Dequantize block number `blockIndex` of an image component, and use the inverse DCT to
+   * convert it to samples in `output` */
+  blockSamples(component, blockIndex, output) {
+    const coefficients = this.coefficients[component.index];
+    if (this.idctSize === 1) {
+      /* Only the DC coefficient matters, so don't bother dequantizing the others */
+      const block = this.dequantizedBlock;
+      block[0] = component.dequantValues ? coefficients[blockIndex * 64] * component.dequantValues[0] : 0;
+      return this.inverseDCT(block, output);
+    }
+    const block = this.dequantizeBlock(coefficients, blockIndex * 64, component.dequantValues, this.dequantizedBlock);
+    return this.inverseDCT(block, output);
+  }
 
+  /* Evaluate the IDCT formula directly; this is very slow, but makes it easy to
+   * see what the IDCT actually does. The samples are written to `output`, which is returned */
+  exactInverseDCT(coefficients, output) {
     for (var x = 0; x < 8; x++) {
       for (var y = 0; y < 8; y++) {
         var sample = 0;
@@ -1362,56 +2502,473 @@ class JPEG {
           }
         }
 
-        samples[y*8 + x] = sample / 4;
+        output[y*8 + x] = sample / 4;
       }
     }
 
-    return samples;
+    return output;
   }
 
-  /* Color space conversion */
+  /* Reconstruction of images from hierarchical JPEGs */
 
-  paintPixels(raster, samples, components, mcuNumber) {
-    /* First figure out where in the raster these pixels are located */
-    const xStart = (mcuNumber % Math.ceil(this.frameData.width / this.mcuPixelWidth)) * this.mcuPixelWidth;
-    const yStart = Math.floor(mcuNumber / Math.ceil(this.frameData.width / this.mcuPixelWidth)) * this.mcuPixelHeight;
-    const xEnd   = Math.min(xStart + this.mcuPixelWidth, this.frameData.width);
-    const yEnd   = Math.min(yStart + this.mcuPixelHeight, this.frameData.height);
-
-    if (components.length == 3) {
-      if (this.maxHorizSampling == 1 && this.maxVertSampling == 1) {
-        /* All image components have the same resolution */
-        this.paintYCbCrPixels(raster, samples, 8, xStart, xEnd, yStart, yEnd);
-      } else {
-        /* Some image components have different resolution from others; we need to
-         * 'align' the corresponding samples in each image component before performing
-         * the color space conversion. This may, for example, require taking each sample
-         * from a lower-resolution component and scaling it up to become a 2x2 square of
-         * 4 identical samples.
-         *
-         * This is different from what libjpeg does. If, for example, one image component
-         * is sampled at double the X and Y resolution of another, so 8x8 samples of the
-         * low-resolution component must be matched to 16x16 samples of the high-resolution
-         * component, libjpeg actually evaluates the IDCT at 16x16 points (for the low
-         * resolution component only), even though the coefficients were originally derived
-         * from 8x8 pixels. This is perhaps a smarter way to scale the 8x8 block up. */
-        const alignedSamples = this.alignSamples(components, samples);
-        this.paintYCbCrPixels(raster, alignedSamples, this.mcuPixelWidth, xStart, xEnd, yStart, yEnd);
+  /* An empty 2D array of samples for one image component of the current frame
+   * (at the chosen scale, for DCT-based frames) */
+  emptyPlane(component) {
+    const width  = Math.ceil(this.frameData.width  * component.horizSampling * this.idctSize / (this.maxHorizSampling * 8));
+    const height = Math.ceil(this.frameData.height * component.vertSampling  * this.idctSize / (this.maxVertSampling * 8));
+    return {
+      id: component.id,
+      horizSampling: component.horizSampling,
+      vertSampling: component.vertSampling,
+      width: width,
+      height: height,
+      data: new Int32Array(width * height)
+    };
+  }
+
+  /* Copy the samples for each component of a lossless frame, leaving out any dummy
+   * samples which fall outside the bounds of the image */
+  componentPlanesFromSamples() {
+    return this.frameData.components.map((component) => {
+      const plane   = this.emptyPlane(component);
+      const samples = this.samples[component.index];
+      for (var y = 0; y < plane.height; y++)
+        for (var x = 0; x < plane.width; x++)
+          plane.data[y * plane.width + x] = samples[y * component.samplesPerLine + x];
+      return plane;
+    });
+  }
+
+  /* Copy the coefficients for each component of a DCT-based frame into one typed array
+   * per component, in natural order, as described for `JPEG.readCoefficients` */
+  componentCoefficients(dequantize) {
+    return this.frameData.components.map((component) => {
+      const { blocksPerRow, blocksPerCol, quantValues } = component;
+      const coeffs = this.coefficients[component.index];
+      /* Quantized coefficients use the same type of array as `this.coefficients` */
+      const ArrayType = dequantize ? Int32Array : coeffs.constructor;
+      const result = new ArrayType(blocksPerRow * blocksPerCol * 64);
+
+      for (var offset = 0; offset < result.length; offset += 64) {
+        if (dequantize) {
+          this.dequantizeBlock(coeffs, offset, component.dequantValues, result.subarray(offset, offset + 64));
+        } else {
+          for (var i = 0; i < 64; i++)
+            result[offset + JPEG.zigzagSequence[i]] = coeffs[offset + i];
+        }
+      }
+
+      return {
+        id: component.id,
+        horizSampling: component.horizSampling,
+        vertSampling: component.vertSampling,
+        blocksPerRow: blocksPerRow,
+        blocksPerCol: blocksPerCol,
+        quantTable: component.quantTable,
+        quantValues: quantValues && Uint16Array.from(this.inverseZigzagOrder(quantValues)),
+        coefficients: result
+      };
+    });
+  }
+
+  /* Use the inverse DCT to convert the (dequantized, naturally ordered) coefficients for
+   * each component of a DCT-based frame to samples */
+  componentPlanesFromCoefficients() {
+    const { precision, differential } = this.frameData;
+    const maxSample = (1 << precision) - 1;
+
+    const size = this.idctSize;
+    const samples = new Float64Array(size * size);
+
+    return this.frameData.components.map((component) => {
+      const plane = this.emptyPlane(component);
+      for (var blockRow = 0; blockRow < component.blocksPerCol; blockRow++) {
+        for (var blockCol = 0; blockCol < component.blocksPerRow; blockCol++) {
+          this.blockSamples(component, (blockRow * component.blocksPerRow) + blockCol, samples);
+          for (var y = 0; y < size && (blockRow * size) + y < plane.height; y++) {
+            for (var x = 0; x < size && (blockCol * size) + x < plane.width; x++) {
+              const sample = Math.round(samples[y*size + x]);
+              /* Differential frames are not level-shifted; they will be added to the reference
+               * frame instead, so negative values are expected */
+              plane.data[((blockRow * size) + y) * plane.width + (blockCol * size) + x] = differential ?
+                sample : Math.min(Math.max(sample + (1 << (precision - 1)), 0), maxSample);
+            }
+          }
+        }
+      }
+      return plane;
+    });
+  }
+
+  /* The current frame of a hierarchical JPEG is complete; decode it to samples,
+   * and if it is a differential frame, add those samples to the reference frame
+   * (If there is no current frame, or it was already finished, do nothing) */
+  finishHierarchicalFrame() {
+    if (!this.frameData || this.frameData.finished)
+      return;
+    this.frameData.finished = true;
+
+    const { width, height, lossless, differential, precision } = this.frameData;
+    const maxSample = (1 << precision) - 1;
+
+    var planes;
+    if (lossless) {
+      planes = this.componentPlanesFromSamples();
+    } else {
+      planes = this.componentPlanesFromCoefficients();
+    }
+
+    for (const plane of planes) {
+      if (differential) {
+        const reference = this.hierarchy.references.get(plane.id);
+        if (!reference)
+          throw new Error(`Differential frame for component ${plane.id}, which does not appear in any previous frame`);
+        const expanded = this.expandReference(reference, plane.width, plane.height);
+
+        for (var i = 0; i < plane.data.length; i++) {
+          if (lossless) {
+            /* Like the differences in a non-hierarchical lossless JPEG, this is modulo 2^16 */
+            plane.data[i] = (expanded[i] + plane.data[i]) & 0xFFFF;
+          } else {
+            plane.data[i] = Math.min(Math.max(expanded[i] + plane.data[i], 0), maxSample);
+          }
+        }
+      }
+
+      this.hierarchy.references.set(plane.id, plane);
+    }
+
+    this.levels.push({ width: width, height: height, lossless: lossless, differential: differential, components: planes });
+    this.expansion = undefined; /* An EXP segment only applies to the frame which follows it */
+  }
+
+  /* Upsample reference samples from a previous frame by 2 horizontally and/or vertically,
+   * as requested by the last EXP segment, and make them match the size of the current frame
+   *
+   * Each new sample which is inserted between 2 existing ones is their average, rounded down;
+   * horizontal upsampling is done first (T.81, section J.1.1.2) */
+  expandReference(reference, width, height) {
+    var { width: refWidth, height: refHeight, data } = reference;
+
+    if (this.expansion && this.expansion.horizontal) {
+      const expanded = new Int32Array(2 * refWidth * refHeight);
+      for (var y = 0; y < refHeight; y++) {
+        for (var x = 0; x < refWidth; x++) {
+          const left  = data[y * refWidth + x];
+          const right = data[y * refWidth + Math.min(x + 1, refWidth - 1)];
+          expanded[(y * 2 * refWidth) + (2 * x)] = left;
+          expanded[(y * 2 * refWidth) + (2 * x) + 1] = (left + right) >> 1;
+        }
+      }
+      data = expanded;
+      refWidth *= 2;
+    }
+
+    if (this.expansion && this.expansion.vertical) {
+      const expanded = new Int32Array(2 * refWidth * refHeight);
+      for (var y = 0; y < refHeight; y++) {
+        const below = Math.min(y + 1, refHeight - 1);
+        for (var x = 0; x < refWidth; x++) {
+          expanded[(2 * y * refWidth) + x] = data[y * refWidth + x];
+          expanded[((2 * y + 1) * refWidth) + x] = (data[y * refWidth + x] + data[below * refWidth + x]) >> 1;
+        }
       }
-    } else if (components.length == 1) {
+      data = expanded;
+      refHeight *= 2;
+    }
+
+    /* If the reference frame is bigger than the current one, crop it; if it is smaller,
+     * repeat the samples at its right and bottom edges */
+    const result = new Int32Array(width * height);
+    for (var y = 0; y < height; y++)
+      for (var x = 0; x < width; x++)
+        result[y * width + x] = data[Math.min(y, refHeight - 1) * refWidth + Math.min(x, refWidth - 1)];
+    return result;
+  }
+
+  paintHierarchicalImage(format, options) {
+    const { width, height, precision, components } = this.hierarchy;
+    const uint16 = options.uint16 || (this.frameData.lossless && precision > 8);
+    const planes = components.map((component) => {
+      const plane = this.hierarchy.references.get(component.id);
+      if (!plane)
+        throw new Error(`No frame in hierarchical JPEG contained component ${component.id}`);
+      return plane;
+    });
+    if (format === 'planes')
+      return this.paintComponentPlanes(planes, precision, uint16);
+    const raster = this.createRaster(width, height, precision, uint16, format, options.output, options.stride);
+    return this.paintPlanes(raster, planes, width, height);
+  }
+
+  /* For hierarchical JPEGs, get a raster for the image at one of the intermediate resolutions
+   * (`this.levels` has one entry for each frame, in the same order as the frames appeared) */
+  paintLevel(levelIndex, uint16) {
+    const level = this.levels[levelIndex];
+    if (!level)
+      throw new Error(`No resolution level ${levelIndex} in this image`);
+    const precision = this.hierarchy.precision;
+    const raster = this.createRaster(level.width, level.height, precision, uint16 || (level.lossless && precision > 8));
+    return this.paintPlanes(raster, level.components, level.width, level.height);
+  }
+
+  /* Color space conversion */
+
+  /* Figure out which of `JPEG.rasterFormats` (or 'planes') to use, from the `format`
+   * and `cmyk` options passed to `JPEG.decode` */
+  selectRasterFormat(options) {
+    const cmyk = this.colorSpace === 'CMYK' || this.colorSpace === 'YCCK';
+    if (options.format === undefined)
+      return (options.cmyk && cmyk) ? 'cmyk' : 'rgb';
+    if (options.format === 'planes') {
+      if (options.output)
+        throw new Error("The 'planes' format cannot be used with an output buffer");
+      return 'planes';
+    }
+    if (!JPEG.rasterFormats.has(options.format))
+      throw new Error(`Unknown output format ${options.format}`);
+    if (options.format === 'cmyk' && !cmyk)
+      throw new Error(`Cannot use 'cmyk' format for an image in ${this.colorSpace} color space`);
+    return options.format;
+  }
+
+  /* Allocate a raster in one of the formats in `JPEG.rasterFormats` (by default, 3 samples
+   * per pixel for R, G, B) for an image with `precision` bits per sample. If `uint16` is true,
+   * samples will be stored in a Uint16Array at their original precision; otherwise they are
+   * scaled to 8 bits and stored in a Buffer
+   *
+   * If `output` is passed, it is used rather than allocating a new raster. Each row of pixels
+   * starts `stride` array elements after the previous one */
+  createRaster(width, height, precision, uint16, format='rgb', output, stride) {
+    const channels = JPEG.rasterFormats.get(format);
+    this.samplePrecision = precision;
+    this.rasterShift = uint16 ? 0 : Math.max(precision - 8, 0);
+    this.rasterFormat = format;
+    this.rasterChannels = channels;
+    this.rasterStride = stride || (channels * width);
+    if (this.rasterStride < channels * width)
+      throw new Error(`Stride of ${this.rasterStride} is too small for ${width} pixels with ${channels} samples each`);
+
+    if (!output)
+      return uint16 ? new Uint16Array(this.rasterStride * height) : Buffer.alloc(this.rasterStride * height);
+
+    if (uint16 ? !(output instanceof Uint16Array) : !(output instanceof Uint8Array || output instanceof Uint8ClampedArray))
+      throw new Error(`Output buffer must be a ${uint16 ? 'Uint16Array' : 'Uint8Array'}`);
+    if (height && output.length < (this.rasterStride * (height - 1)) + (channels * width))
+      throw new Error(`Output buffer with ${output.length} elements is too small for ${width}x${height} image`);
+    return output;
+  }
+
+  /* Return the samples for each component at its own resolution, without upsampling or
+   * color conversion; the samples are stored as described for `createRaster` */
+  paintComponentPlanes(planes, precision, uint16) {
+    this.samplePrecision = precision;
+    this.rasterShift = uint16 ? 0 : Math.max(precision - 8, 0);
+    this.rasterFormat = 'planes';
+    this.rasterChannels = planes.length;
+    this.rasterStride = undefined;
+
+    return planes.map((plane) => Object.assign({}, plane, {
+      data: uint16 ? Uint16Array.from(plane.data) : Buffer.from(plane.data.map((sample) => this.reduceSample(sample)))
+    }));
+  }
+
+  /* Index in the raster of the first sample for pixel (x,y) */
+  rasterIndex(x, y) {
+    return (y * this.rasterStride) + (x * this.rasterChannels);
+  }
+
+  /* Store one pixel in the raster, in the format chosen by `createRaster`
+   * `r`, `g`, and `b` must already have been converted using `clampSample` (or similar) */
+  storeRGB(raster, index, r, g, b) {
+    if (this.rasterFormat === 'grayscale') {
+      /* Use the same weights as for converting RGB to YCbCr */
+      raster[index] = Math.round((0.299 * r) + (0.587 * g) + (0.114 * b));
+      return;
+    }
+    raster[index]   = r;
+    raster[index+1] = g;
+    raster[index+2] = b;
+    if (this.rasterFormat === 'rgba')
+      raster[index+3] = ((1 << this.samplePrecision) - 1) >> this.rasterShift;
+  }
+
+  storeGray(raster, index, value) {
+    if (this.rasterFormat === 'grayscale')
+      raster[index] = value;
+    else
+      this.storeRGB(raster, index, value, value, value);
+  }
+
+  /* Convert a sample (which has already been level-shifted back to the range 0..2^P-1)
+   * to an integer which can be stored in the raster created by `createRaster`
+   * Any fractional part is discarded */
+  clampSample(value) {
+    return this.reduceSample(Math.min(Math.max(value, 0), (1 << this.samplePrecision) - 1));
+  }
+
+  /* Scale an integer sample in the range 0..2^P-1 down to 8 bits, if the raster needs that;
+   * round to the nearest value, rather than just dropping the low-order bits */
+  reduceSample(value) {
+    if (!this.rasterShift)
+      return value;
+    return Math.min((value + (1 << (this.rasterShift - 1))) >> this.rasterShift, 255);
+  }
+
+  /* `aligned` is used as described for `alignSamples` */
+  paintPixels(raster, samples, components, mcuNumber, aligned) {
+    /* First figure out where in the raster these pixels are located
+     * When decoding at a reduced scale, each MCU covers fewer pixels */
+    const mcuWidth  = this.maxHorizSampling * this.idctSize;
+    const mcuHeight = this.maxVertSampling * this.idctSize;
+    var xStart = (mcuNumber % this.mcusPerRow) * mcuWidth;
+    var yStart = Math.floor(mcuNumber / this.mcusPerRow) * mcuHeight;
+    var xEnd   = Math.min(xStart + mcuWidth, this.scaledSize(this.frameData.width));
+    var yEnd   = Math.min(yStart + mcuHeight, this.scaledSize(this.frameData.height));
+
+    var lineWidth = this.idctSize;
+    if (this.maxHorizSampling != 1 || this.maxVertSampling != 1) {
+      /* Some image components have different resolution from others; we need to
+       * 'align' the corresponding samples in each image component before performing
+       * the color space conversion. This may, for example, require taking each sample
+       * from a lower-resolution component and scaling it up to become a 2x2 square of
+       * 4 identical samples.
+       *
+       * This is different from what libjpeg does. If, for example, one image component
+       * is sampled at double the X and Y resolution of another, so 8x8 samples of the
+       * low-resolution component must be matched to 16x16 samples of the high-resolution
+       * component, libjpeg actually evaluates the IDCT at 16x16 points (for the low
+       * resolution component only), even though the coefficients were originally derived
+       * from 8x8 pixels. This is perhaps a smarter way to scale the 8x8 block up. */
+      samples = this.alignSamples(components, samples, aligned);
+      lineWidth = mcuWidth;
+    }
+
+    if (this.region) {
+      /* The raster only covers the region, so leave out any samples which fall outside it,
+       * and make the coordinates relative to the top-left corner of the region */
+      const { x, y, width, height } = this.region;
+      const left = Math.max(x - xStart, 0);
+      const top  = Math.max(y - yStart, 0);
+      if (left || top)
+        samples = samples.map((array) => array.subarray((top * lineWidth) + left));
+      xEnd   = Math.min(xEnd, x + width) - x;
+      yEnd   = Math.min(yEnd, y + height) - y;
+      xStart = xStart + left - x;
+      yStart = yStart + top - y;
+    }
+
+    if (this.colorSpace === 'grayscale') {
       /* Luminance-only (grayscale) color space */
-      this.paintGrayscalePixels(raster, samples, xStart, xEnd, yStart, yEnd);
+      this.paintGrayscalePixels(raster, samples, lineWidth, xStart, xEnd, yStart, yEnd);
+    } else if (this.colorSpace === 'YCbCr') {
+      this.paintYCbCrPixels(raster, samples, lineWidth, xStart, xEnd, yStart, yEnd);
+    } else if (this.colorSpace === 'RGB') {
+      this.paintRGBPixels(raster, samples, lineWidth, xStart, xEnd, yStart, yEnd);
+    } else if (this.colorSpace === 'CMYK' || this.colorSpace === 'YCCK') {
+      /* Used for printing */
+      this.paintCMYKPixels(raster, samples, lineWidth, xStart, xEnd, yStart, yEnd);
     } else {
       throw new Error("Unknown color space");
     }
   }
 
-  paintGrayscalePixels(raster, samples, xStart, xEnd, yStart, yEnd) {
+  /* Describe the sampling factors using the usual J:a:b notation, like '4:2:0'
+   * That only works for the common cases, where the first component (luminance) has the
+   * highest resolution and all the others (chrominance) have the same sampling factors; for
+   * others, list the sampling factors of each component, like '1x2,2x1,1x1' */
+  samplingLabel(components) {
+    if (components.length === 1)
+      return '4:0:0';
+
+    const [first, ...rest] = components;
+    const sameFactors = rest.every((c) => c.horizSampling === rest[0].horizSampling && c.vertSampling === rest[0].vertSampling);
+    if (sameFactors) {
+      const horizRatio = first.horizSampling / rest[0].horizSampling;
+      const vertRatio  = first.vertSampling  / rest[0].vertSampling;
+      const label = new Map([
+        ['1,1', '4:4:4'], ['2,1', '4:2:2'], ['2,2', '4:2:0'], ['1,2', '4:4:0'], ['4,1', '4:1:1'], ['4,2', '4:1:0']
+      ]).get(`${horizRatio},${vertRatio}`);
+      if (label)
+        return (components.length === 4 && label === '4:4:4') ? '4:4:4:4' : label;
+    }
+
+    return components.map((c) => `${c.horizSampling}x${c.vertSampling}`).join(',');
+  }
+
+  /* There is no single standard way for a JPEG file to say what color space it uses;
+   * follow the same rules as libjpeg to figure it out
+   *
+   * The only difference is for 3-component lossless JPEGs with nothing to say which color
+   * space they use: those are normally RGB, since converting from YCbCr would throw away
+   * precision, so we assume they are RGB rather than YCbCr */
+  inferColorSpace(components, lossless) {
+    if (components.length === 1) {
+      return 'grayscale';
+    } else if (components.length === 3) {
+      if (this.jfif)
+        return 'YCbCr'; /* JFIF only allows grayscale or YCbCr */
+      if (this.adobe)
+        return (this.adobe.transform === 0) ? 'RGB' : 'YCbCr';
+      /* Some encoders use the component IDs 'R', 'G', 'B' to indicate RGB */
+      if (String.fromCharCode(...components.map((c) => c.id)) === 'RGB')
+        return 'RGB';
+      return lossless ? 'RGB' : 'YCbCr';
+    } else if (components.length === 4) {
+      return (this.adobe && this.adobe.transform === 2) ? 'YCCK' : 'CMYK';
+    }
+    throw new Error("Unknown color space");
+  }
+
+  /* Paint an image which has already been decoded to one 2D array of samples (or 'plane')
+   * for each component; this is used for lossless and hierarchical JPEGs */
+  paintPlanes(raster, planes, width, height) {
+    const maxHorizSampling = planes.reduce((max,p) => Math.max(max, p.horizSampling), 0);
+    const maxVertSampling  = planes.reduce((max,p) => Math.max(max, p.vertSampling), 0);
+    const center = 1 << (this.samplePrecision - 1);
+
+    if (this.colorSpace !== 'grayscale' && this.colorSpace !== 'YCbCr' && this.colorSpace !== 'RGB')
+      throw new Error("Unknown color space");
+
+    for (var y = 0; y < height; y++) {
+      for (var x = 0; x < width; x++) {
+        const rasterIndex = this.rasterIndex(x, y);
+        if (this.colorSpace === 'grayscale') {
+          /* For grayscale, R, G, and B are all equal to Y */
+          this.storeGray(raster, rasterIndex, this.reduceSample(this.planeSample(planes[0], x, y, maxHorizSampling, maxVertSampling)));
+        } else if (this.colorSpace === 'YCbCr') {
+          this.convertYCbCrtoRGB(raster, rasterIndex,
+            this.planeSample(planes[0], x, y, maxHorizSampling, maxVertSampling) - center,
+            this.planeSample(planes[1], x, y, maxHorizSampling, maxVertSampling) - center,
+            this.planeSample(planes[2], x, y, maxHorizSampling, maxVertSampling) - center);
+        } else {
+          this.storeRGB(raster, rasterIndex,
+            this.reduceSample(this.planeSample(planes[0], x, y, maxHorizSampling, maxVertSampling)),
+            this.reduceSample(this.planeSample(planes[1], x, y, maxHorizSampling, maxVertSampling)),
+            this.reduceSample(this.planeSample(planes[2], x, y, maxHorizSampling, maxVertSampling)));
+        }
+      }
+    }
+
+    return raster;
+  }
+
+  /* Find the sample in `plane` which covers pixel (x,y)
+   * Components with lower resolution have fewer samples; each one covers more pixels */
+  planeSample(plane, x, y, maxHorizSampling, maxVertSampling) {
+    const sampleX = Math.floor(x * plane.horizSampling / maxHorizSampling);
+    const sampleY = Math.floor(y * plane.vertSampling / maxVertSampling);
+    return plane.data[sampleY * plane.width + sampleX];
+  }
+
+  /* See `paintYCbCrPixels` for the meaning of `lineWidth` */
+  paintGrayscalePixels(raster, samples, lineWidth, xStart, xEnd, yStart, yEnd) {
+    const center = 1 << (this.samplePrecision - 1);
     for (var y = 0; y < yEnd - yStart; y++) {
       for (var x = 0; x < xEnd - xStart; x++) {
-        const rasterIndex = (((y + yStart) * this.frameData.width) + x + xStart) * 3;
+        const rasterIndex = this.rasterIndex(x + xStart, y + yStart);
         /* No need for any fancy conversion; R, G, and B are all equal to Y */
-        raster[rasterIndex] = raster[rasterIndex+1] = raster[rasterIndex+2] = samples[0][y*8 + x] + 128;
+        this.storeGray(raster, rasterIndex, this.clampSample(Math.round(samples[0][y*lineWidth + x] + center)));
       }
     }
   }
@@ -1422,26 +2979,93 @@ class JPEG {
   paintYCbCrPixels(raster, samples, lineWidth, xStart, xEnd, yStart, yEnd) {
     for (var y = 0; y < yEnd - yStart; y++) {
       for (var x = 0; x < xEnd - xStart; x++) {
-        const rasterIndex = (((y + yStart) * this.frameData.width) + x + xStart) * 3;
+        const rasterIndex = this.rasterIndex(x + xStart, y + yStart);
         this.convertYCbCrtoRGB(raster, rasterIndex, samples[0][y*lineWidth + x], samples[1][y*lineWidth + x], samples[2][y*lineWidth + x]);
       }
     }
   }
 
-  convertYCbCrtoRGB(raster, index, y, cb, cr) {
-    /* Y-Cb-Cr conversion as defined in JFIF spec 1.02, page 4
-     * Add 128 to each value to undo the 'level shift' which is applied as
-     * the first step in JPEG encoding */
-    const r = this.clampRGB(y + (cr * 1.402) + 128);
-    const g = this.clampRGB(y - (0.34414 * cb) - (0.71414 * cr) + 128);
-    const b = this.clampRGB(y + (cb * 1.772) + 128);
-    raster[index] = r;
-    raster[index+1] = g;
-    raster[index+2] = b;
+  /* As with `paintYCbCrPixels`, `lineWidth` is the number of samples in each line of `samples` */
+  paintRGBPixels(raster, samples, lineWidth, xStart, xEnd, yStart, yEnd) {
+    const center = 1 << (this.samplePrecision - 1);
+    for (var y = 0; y < yEnd - yStart; y++) {
+      for (var x = 0; x < xEnd - xStart; x++) {
+        const rasterIndex = this.rasterIndex(x + xStart, y + yStart);
+        const sampleIndex = y*lineWidth + x;
+        this.storeRGB(raster, rasterIndex,
+          this.clampSample(Math.round(samples[0][sampleIndex] + center)),
+          this.clampSample(Math.round(samples[1][sampleIndex] + center)),
+          this.clampSample(Math.round(samples[2][sampleIndex] + center)));
+      }
+    }
+  }
+
+  /* Also see `paintYCbCrPixels` for the meaning of `lineWidth`
+   *
+   * YCCK is CMYK where C, M, and Y were inverted (giving R, G, and B), then converted to YCbCr as usual.
+   * Adobe software also inverts all 4 components, so 0 means full ink; if the Adobe segment
+   * is present, assume the image data is inverted */
+  paintCMYKPixels(raster, samples, lineWidth, xStart, xEnd, yStart, yEnd) {
+    const maxSample = (1 << this.samplePrecision) - 1;
+    const center    = 1 << (this.samplePrecision - 1);
+    const ycck      = this.colorSpace === 'YCCK';
+    const inverted  = this.adobe !== undefined;
+    const clamp     = (value) => Math.min(Math.max(Math.round(value), 0), maxSample);
+
+    for (var y = 0; y < yEnd - yStart; y++) {
+      for (var x = 0; x < xEnd - xStart; x++) {
+        const sampleIndex = y*lineWidth + x;
+        var cyan, magenta, yellow;
+        if (ycck) {
+          const Y = samples[0][sampleIndex] + center, cb = samples[1][sampleIndex], cr = samples[2][sampleIndex];
+          cyan    = maxSample - clamp(Y + (cr * 1.402));
+          magenta = maxSample - clamp(Y - (0.34414 * cb) - (0.71414 * cr));
+          yellow  = maxSample - clamp(Y + (cb * 1.772));
+        } else {
+          cyan    = clamp(samples[0][sampleIndex] + center);
+          magenta = clamp(samples[1][sampleIndex] + center);
+          yellow  = clamp(samples[2][sampleIndex] + center);
+        }
+        var black = clamp(samples[3][sampleIndex] + center);
+        if (inverted) {
+          cyan    = maxSample - cyan;
+          magenta = maxSample - magenta;
+          yellow  = maxSample - yellow;
+          black   = maxSample - black;
+        }
+
+        const rasterIndex = this.rasterIndex(x + xStart, y + yStart);
+        if (this.rasterFormat === 'cmyk') {
+          raster[rasterIndex]   = this.reduceSample(cyan);
+          raster[rasterIndex+1] = this.reduceSample(magenta);
+          raster[rasterIndex+2] = this.reduceSample(yellow);
+          raster[rasterIndex+3] = this.reduceSample(black);
+        } else {
+          /* A simple conversion to RGB, which ignores the characteristics of real inks */
+          const k = maxSample - black;
+          this.storeRGB(raster, rasterIndex,
+            this.reduceSample(Math.round((maxSample - cyan) * k / maxSample)),
+            this.reduceSample(Math.round((maxSample - magenta) * k / maxSample)),
+            this.reduceSample(Math.round((maxSample - yellow) * k / maxSample)));
+        }
+      }
+    }
   }
 
-  clampRGB(value) {
-    return Math.round(Math.min(Math.max(value, 0), 255));
+  convertYCbCrtoRGB(raster, index, y, cb, cr) {
+    /* Y-Cb-Cr conversion as defined in JFIF spec 1.02, page 4
+     * Add 2^(P-1) (128 for 8-bit samples) to each value to undo the 'level shift'
+     * which is applied as the first step in JPEG encoding */
+    const center = 1 << (this.samplePrecision - 1);
+    if (this.rasterFormat === 'grayscale') {
+      /* Y is already the luminance */
+      raster[index] = this.clampSample(Math.round(y + center));
+      return;
+    }
+    const r = this.clampSample(Math.round(y + (cr * 1.402) + center));
+    const g = this.clampSample(Math.round(y - (0.34414 * cb) - (0.71414 * cr) + center));
+    const b = this.clampSample(Math.round(y + (cb * 1.772) + center));
+    this.storeRGB(raster, index, r, g, b);
   }
 }
 
@@ -0,0 +1,435 @@
+'use strict';
+
+/* Decoding JPEG files which arrive a piece at a time, such as over a network connection
+ *
+ * `JPEG.decode` needs the whole file in memory before it can start, and does not return
+ * anything until the whole image has been painted. A `StreamDecoder` is given the data
+ * in chunks of any size instead. It processes each marker segment as soon as all of it has
+ * arrived, and for sequential Huffman-coded scans (like all baseline JPEGs), it decodes each
+ * MCU once there is enough data for it. As soon as a row of MCUs is complete for every image
+ * component, that row of pixels is painted and returned as a 'band'.
+ *
+ * Other scans are only decoded when all of their entropy-coded data has arrived. For
+ * progressive JPEGs, no pixels are final until the last scan, so all the bands come at the
+ * end of the image; likewise for arithmetic-coded JPEGs with no restart markers. Lossless and
+ * hierarchical JPEGs are painted all at once, as one band covering the whole image. */
+
+const { Transform } = require('stream');
+const huffman = require('./huffman.js');
+const { JPEG } = require('./jpeg.js');
+
+/* The most bytes which one Huffman-coded block can take up: a 16-bit code and up to 15
+ * more bits for the DC coefficient, and the same (with at most 14 more bits) for each of the
+ * 63 AC coefficients. With byte stuffing, every byte could be followed by an extra zero */
+const maxBytesPerBlock = 2 * Math.ceil((16 + 15 + (63 * (16 + 14))) / 8);
+
+/* Feed the bytes of a JPEG file to `push`, and it returns the bands of pixels which are
+ * ready; call `end` once there is no more data, to get any remaining bands
+ *
+ * Each band is an object with:
+ * `y`: Index of the first row of pixels in the band
+ * `width`, `height`: Size of the band in pixels; the width is that of the whole image
+ * `format`, `channels`, `stride`, `data`: As for the raster returned by `JPEG.decode`
+ *
+ * The options are the same as for `JPEG.decode`, except that `region`, `output`, and the
+ * 'planes' format cannot be used */
+class StreamDecoder {
+  constructor(options = {}) {
+    if (options.region !== undefined || options.output !== undefined || options.format === 'planes')
+      throw new Error("The region and output options and the 'planes' format cannot be used when streaming");
+    this.options = options;
+    this.jpg = new JPEG();
+    this.jpg.readDecodeOptions(options);
+
+    this.buffer = Buffer.alloc(0); /* Data received which is still needed, plus some unused space */
+    this.length = 0; /* How much of `buffer` has been filled */
+    this.position = 0; /* Index of the next byte which has not been processed */
+    this.offset = 0; /* Offset in the file of `buffer[0]` (earlier data has been discarded) */
+    this.scan = undefined; /* State for the scan which is being decoded, if any */
+    this.format = undefined; /* Raster format, chosen when the first scan starts */
+    this.endOfImage = false; /* Has the End of Image marker been seen? */
+    this.finished = false; /* Has the whole image been painted? */
+    this.decodedRows = []; /* For each component, the number of rows of blocks decoded so far */
+    this.paintedMcuRows = 0;
+  }
+
+  /* Add a chunk of data (a Buffer or Uint8Array); returns an array of bands */
+  push(chunk) {
+    if (this.finished)
+      return [];
+    this.discardProcessedData();
+    if (this.length + chunk.length > this.buffer.length) {
+      const buffer = Buffer.alloc(Math.max(this.buffer.length * 2, this.length + chunk.length, 4096));
+      this.buffer.copy(buffer, 0, 0, this.length);
+      this.buffer = buffer;
+      if (this.scan && this.scan.reader)
+        this.scan.reader.buffer = buffer;
+    }
+    this.buffer.set(chunk, this.length);
+    this.length += chunk.length;
+
+    var more = !this.endOfImage;
+    while (more)
+      more = this.scan ? this.continueScan() : this.readSegment();
+
+    const bands = this.paintFinishedRows();
+    if (this.endOfImage)
+      bands.push(...this.finish());
+    return bands;
+  }
+
+  /* There is no more data; return any remaining bands
+   * The data must end after a complete segment; if the End of Image marker is missing,
+   * the image is painted anyways */
+  end() {
+    if (this.finished)
+      return [];
+    if (this.scan || this.nextMarker() !== -1)
+      throw new Error("JPEG data ends in the middle of a segment");
+    return this.finish();
+  }
+
+  /* Data which has been received, but not processed yet (up to `this.length`)
+   * `JPEG` methods may read this, but nothing past the end of it */
+  data() {
+    return this.buffer.subarray(0, this.length);
+  }
+
+  /* Move the data which is still needed to the start of `buffer`, so it does not grow with
+   * the size of the file. A scan which is decoded all at once needs all of its data, so that
+   * is kept until the scan is finished.
+   * To avoid copying the same bytes over and over, this waits until at least half of the data
+   * can be discarded */
+  discardProcessedData() {
+    const scan = this.scan;
+    var start = this.position;
+    if (scan)
+      start = scan.header ? scan.reader.position : scan.index;
+    if (start === 0 || start < this.length - start)
+      return;
+
+    this.buffer.copyWithin(0, start, this.length);
+    this.length -= start;
+    this.offset += start;
+    this.position = Math.max(this.position - start, 0); /* Not used until the scan is finished */
+    if (scan) {
+      scan.index -= start;
+      scan.searchFrom -= start;
+      if (scan.reader) {
+        scan.reader.position -= start;
+        scan.reader.end -= start;
+      }
+    }
+  }
+
+  /* Find the next marker (skipping any garbage and fill bytes, like `JPEG.segments`);
+   * returns -1 if we need more data first */
+  nextMarker() {
+    while (true) {
+      var index = this.buffer.indexOf(0xFF, this.position);
+      if (index === -1 || index >= this.length) {
+        this.position = this.length;
+        return -1;
+      }
+      while (index + 1 < this.length && this.buffer[index+1] === 0xFF)
+        index++;
+      this.position = index;
+      if (index + 1 >= this.length)
+        return -1;
+      if (this.buffer[index+1] !== 0)
+        return index;
+      this.position = index + 2; /* Not a marker */
+    }
+  }
+
+  /* Process the next marker segment, if all of it has arrived
+   * Returns true if there may be more to process */
+  readSegment() {
+    const index = this.nextMarker();
+    if (index === -1)
+      return false;
+    const marker = this.buffer[index+1];
+
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) {
+      this.position = index + 2;
+      if (marker === 0xD9) {
+        this.endOfImage = true;
+        return false;
+      }
+      this.jpg.handleSegment(this.data(), marker, index);
+      return true;
+    }
+
+    if (index + 4 > this.length)
+      return false;
+    const end = index + 2 + this.buffer.readUInt16BE(index+2);
+    if (end < index + 4)
+      throw new Error(`Truncated or invalid segment for marker 0x${marker.toString(16)} at offset ${this.offset + index}`);
+    if (end > this.length)
+      return false;
+
+    if (marker === 0xDA) {
+      this.startScan(index, end);
+    } else {
+      /* `JPEG` may keep parts of the segment (like ICC profile data) without copying them,
+       * and `buffer` will be reused, so give it a copy */
+      this.jpg.handleSegment(Buffer.from(this.buffer.subarray(index, end)), marker, 0);
+      this.position = end;
+    }
+    return true;
+  }
+
+  /* A scan header starts at `index`; its entropy-coded data starts at `dataStart` */
+  startScan(index, dataStart) {
+    const jpg = this.jpg;
+    if (!jpg.frameData)
+      throw new Error("Scan header appears before any frame header");
+    if (this.format === undefined)
+      this.format = jpg.prepareOutput(this.options);
+
+    const { progressive, lossless, coding, height } = jpg.frameData;
+    this.scan = { index: index, searchFrom: dataStart };
+
+    /* Other scans are decoded all at once; that includes scans in images whose height is
+     * given by a DNL segment, since we don't know how many MCUs they have until we get there */
+    if (progressive || lossless || coding !== 'huffman' || height === 0 || jpg.hierarchy)
+      return;
+
+    /* A sequential, Huffman-coded scan, which can be decoded as the data comes in */
+    const header = jpg.readScanHeader(this.data(), index);
+    const interleaved = header.components.length > 1;
+    const component = header.components[0];
+    jpg.selectQuantizationTables(header);
+    Object.assign(this.scan, {
+      header: header,
+      headerData: Buffer.from(this.buffer.subarray(index, dataStart)), /* For `JPEG.scanDecoded` */
+      interleaved: interleaved,
+      totalMcus: interleaved ? jpg.totalMcus : (component.blocksPerRow * component.blocksPerCol),
+      maxMcuBytes: maxBytesPerBlock * (interleaved ? header.components.reduce((sum, c) => sum + (c.horizSampling * c.vertSampling), 0) : 1),
+      nextMcu: 0
+    });
+    this.startEntropyCodedSegment(dataStart, 0);
+  }
+
+  /* Set up to decode the entropy-coded segment starting at `index` in the current scan,
+   * starting with MCU number `mcuNumber` */
+  startEntropyCodedSegment(index, mcuNumber) {
+    const scan = this.scan;
+    const restartInterval = this.jpg.restartInterval;
+    scan.reader = new huffman.BitReader(this.buffer, index, index);
+    scan.prevDcCoeffs = new Array(scan.header.components.length).fill(0);
+    scan.nextMcu = mcuNumber;
+    scan.segmentEnd = restartInterval ? Math.min(mcuNumber + restartInterval, scan.totalMcus) : scan.totalMcus;
+  }
+
+  /* Find the marker which ends the current entropy-coded segment (an 0xFF byte which is
+   * not followed by a stuffed zero byte); returns -1 if it has not arrived yet */
+  entropyCodedSegmentEnd() {
+    const scan = this.scan;
+    while (true) {
+      const index = this.buffer.indexOf(0xFF, scan.searchFrom);
+      if (index === -1 || index + 1 >= this.length) {
+        scan.searchFrom = (index === -1 || index >= this.length) ? this.length : index;
+        return -1;
+      }
+      if (this.buffer[index+1] !== 0) {
+        scan.searchFrom = index;
+        return index;
+      }
+      scan.searchFrom = index + 2;
+    }
+  }
+
+  /* Decode as much of the current scan as we can, with the data which has arrived
+   * Returns true if the scan is finished (so there may be more segments to process) */
+  continueScan() {
+    return this.scan.header ? this.decodeAvailableMcus() : this.decodeCompleteScan();
+  }
+
+  /* For scans which are decoded all at once, wait until all the entropy-coded segments
+   * have arrived, and then decode them just as `JPEG.decode` would */
+  decodeCompleteScan() {
+    const scan = this.scan;
+    while (true) {
+      const ecsEnd = this.entropyCodedSegmentEnd();
+      if (ecsEnd === -1)
+        return false;
+      if (this.buffer[ecsEnd+1] >= 0xD0 && this.buffer[ecsEnd+1] <= 0xD7) {
+        scan.searchFrom = ecsEnd + 2; /* Restart marker; keep looking for the end */
+        continue;
+      }
+      if (this.buffer[ecsEnd+1] === 0xDC && ecsEnd + 6 > this.length)
+        return false; /* The scan reader will need to look at the DNL segment */
+
+      this.jpg.handleSegment(this.data(), 0xDA, scan.index);
+      this.markScanDecoded(scan.index);
+      this.scan = undefined;
+      this.position = ecsEnd;
+      return true;
+    }
+  }
+
+  /* For sequential Huffman-coded scans, decode each MCU once enough data has arrived
+   * If the entropy-coded segment is complete, we can decode all of it; otherwise, stop
+   * where there might be a partial MCU at the end of the data */
+  decodeAvailableMcus() {
+    const scan = this.scan;
+    while (true) {
+      const ecsEnd = this.entropyCodedSegmentEnd();
+      const reader = scan.reader;
+      reader.end = (ecsEnd === -1) ? scan.searchFrom : ecsEnd;
+      var lastMcu = scan.segmentEnd;
+      if (ecsEnd === -1)
+        lastMcu = Math.min(lastMcu, scan.nextMcu + Math.floor((reader.end - reader.position) / scan.maxMcuBytes));
+      if (lastMcu > scan.nextMcu) {
+        scan.nextMcu = this.jpg.readHuffmanCodedSegment(scan.header, reader, scan.nextMcu, lastMcu, scan.prevDcCoeffs);
+        this.updateDecodedRows(scan.header, scan.interleaved, scan.nextMcu);
+      }
+      if (ecsEnd === -1)
+        return false;
+
+      if (this.buffer[ecsEnd+1] >= 0xD0 && this.buffer[ecsEnd+1] <= 0xD7 && scan.segmentEnd < scan.totalMcus) {
+        /* Restart marker; continue decoding the scan data */
+        scan.searchFrom = ecsEnd + 2;
+        this.startEntropyCodedSegment(ecsEnd + 2, scan.segmentEnd);
+        continue;
+      }
+
+      this.jpg.scanDecoded(scan.headerData, 0);
+      this.scan = undefined;
+      this.position = ecsEnd;
+      return true;
+    }
+  }
+
+  /* MCUs (or blocks, for a non-interleaved scan) up to `nextMcu` have been decoded by
+   * a sequential scan; record how many rows of blocks that is for each component */
+  updateDecodedRows(header, interleaved, nextMcu) {
+    const jpg = this.jpg;
+    for (const component of header.components) {
+      const rows = interleaved ? Math.floor(nextMcu / jpg.mcusPerRow) * component.vertSampling : Math.floor(nextMcu / component.blocksPerRow);
+      this.decodedRows[component.index] = Math.min(rows, component.blocksPerCol);
+    }
+  }
+
+  /* A scan which started at `index` has been decoded all at once; for a sequential scan,
+   * the components in it are complete */
+  markScanDecoded(index) {
+    const jpg = this.jpg;
+    if (jpg.frameData.progressive || jpg.frameData.lossless || jpg.hierarchy)
+      return;
+    for (const component of jpg.readScanHeader(this.data(), index).components)
+      this.decodedRows[component.index] = jpg.frameData.components[component.index].blocksPerCol;
+  }
+
+  /* Paint each row of MCUs which has been completed for all image components */
+  paintFinishedRows() {
+    const jpg = this.jpg;
+    if (!jpg.frameData || jpg.frameData.height === 0 || this.format === undefined)
+      return [];
+    const totalRows = Math.ceil(jpg.totalMcus / jpg.mcusPerRow);
+    const finishedRows = Math.min(...jpg.frameData.components.map((component) => {
+      const rows = this.decodedRows[component.index] || 0;
+      return (rows >= component.blocksPerCol) ? totalRows : Math.floor(rows / component.vertSampling);
+    }));
+
+    const bands = [];
+    while (this.paintedMcuRows < finishedRows)
+      bands.push(this.paintMcuRow(this.paintedMcuRows++));
+    return bands;
+  }
+
+  /* Paint one row of MCUs, using `JPEG.paintMcus` with a region covering just that row */
+  paintMcuRow(mcuRow) {
+    const jpg = this.jpg;
+    const [width, height] = jpg.outputSize();
+    const mcuHeight = jpg.maxVertSampling * jpg.idctSize;
+    const y = mcuRow * mcuHeight;
+    const bandHeight = Math.min(mcuHeight, height - y);
+
+    const raster = jpg.createRaster(width, bandHeight, jpg.frameData.precision, this.options.uint16, this.format, undefined, this.options.stride);
+    jpg.region = { x: 0, y: y, width: width, height: bandHeight };
+    try {
+      jpg.paintMcus(raster, this.format, { rowStart: mcuRow, rowEnd: mcuRow + 1, colStart: 0, colEnd: jpg.mcusPerRow });
+    } finally {
+      jpg.region = undefined;
+    }
+    return this.band(y, width, bandHeight, raster);
+  }
+
+  band(y, width, height, data) {
+    return {
+      y: y,
+      width: width,
+      height: height,
+      format: this.jpg.rasterFormat,
+      channels: this.jpg.rasterChannels,
+      stride: this.jpg.rasterStride,
+      data: data
+    };
+  }
+
+  /* The whole image has arrived; paint whatever has not been painted yet */
+  finish() {
+    const jpg = this.jpg;
+    this.finished = true;
+    this.scan = undefined;
+    if (!jpg.frameData)
+      throw new Error("No frame header found");
+    if (this.format === undefined)
+      this.format = jpg.prepareOutput(this.options);
+
+    if (jpg.hierarchy || jpg.frameData.lossless) {
+      const data = jpg.paintImage(this.format, this.options);
+      const [width, height] = jpg.outputSize();
+      return [this.band(0, width, height, data)];
+    }
+
+    /* Everything which has been decoded is as complete as it will get */
+    for (const component of jpg.frameData.components)
+      this.decodedRows[component.index] = component.blocksPerCol;
+    return this.paintFinishedRows();
+  }
+}
+
+/* A Node.js Transform stream; write the bytes of a JPEG file to it, and read bands of
+ * pixels (as described for `StreamDecoder`) from it */
+class DecodeStream extends Transform {
+  constructor(options = {}) {
+    super({ readableObjectMode: true });
+    this.decoder = new StreamDecoder(options);
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      for (const band of this.decoder.push(chunk))
+        this.push(band);
+    } catch (e) {
+      return callback(e);
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    try {
+      for (const band of this.decoder.end())
+        this.push(band);
+    } catch (e) {
+      return callback(e);
+    }
+    callback();
+  }
+}
+
+/* Decode a JPEG file from `chunks`, which can be any iterable or async iterable of Buffers
+ * (like a file or network stream); yields each band of pixels as soon as it is ready */
+async function* decodeBands(chunks, options = {}) {
+  const decoder = new StreamDecoder(options);
+  for await (const chunk of chunks)
+    yield* decoder.push(chunk);
+  yield* decoder.end();
+}
+
+module.exports.StreamDecoder = StreamDecoder;
+module.exports.DecodeStream  = DecodeStream;
+module.exports.decodeBands   = decodeBands;
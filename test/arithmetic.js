@@ -43,18 +43,25 @@ const expected1 = [
 
 assertArray(result1, expected1);
 
-/* Remove byte-stuffing from input */
-result1.splice(12, 1);
-/* Feed the encoder output into the decoder */
+/* Feed the encoder output into the decoder; the decoder removes byte-stuffing itself */
+const expectedUInts = [0x00020051, 0x000000C0, 0x0352872A, 0xAAAAAAAA, 0x82C02000, 0xFCD79EF6, 0x74EAABF7, 0x697EE74C];
 const stats2 = new arithmetic.Statistics(1);
 const decoder1 = new arithmetic.Decoder(result1);
-assertEquals(decoder1.decodeUInt(32, stats2, 0), 0x00020051);
-assertEquals(decoder1.decodeUInt(32, stats2, 0), 0x000000C0);
-assertEquals(decoder1.decodeUInt(32, stats2, 0), 0x0352872A);
-assertEquals(decoder1.decodeUInt(32, stats2, 0), 0xAAAAAAAA);
-assertEquals(decoder1.decodeUInt(32, stats2, 0), 0x82C02000);
-assertEquals(decoder1.decodeUInt(32, stats2, 0), 0xFCD79EF6);
-assertEquals(decoder1.decodeUInt(32, stats2, 0), 0x74EAABF7);
-assertEquals(decoder1.decodeUInt(32, stats2, 0), 0x697EE74C);
+for (var uint of expectedUInts)
+  assertEquals(decoder1.decodeUInt(32, stats2, 0), uint);
+
+/* The coded data can be read in place from part of a larger buffer, which ends with a marker */
+const buffer1 = Buffer.from([0x12, 0x34, ...result1, 0xFF, 0xD9, 0x56]);
+const stats3 = new arithmetic.Statistics(1);
+const decoder2 = new arithmetic.Decoder(buffer1, 2);
+for (var uint of expectedUInts)
+  assertEquals(decoder2.decodeUInt(32, stats3, 0), uint);
+assertEquals(decoder2.position, result1.length + 2);
+
+/* Or the end of the coded data can be given explicitly */
+const stats4 = new arithmetic.Statistics(1);
+const decoder3 = new arithmetic.Decoder(Uint8Array.from(buffer1), 2, result1.length);
+for (var uint of expectedUInts)
+  assertEquals(decoder3.decodeUInt(32, stats4, 0), uint);
 
 console.log('OK!');
@@ -3,7 +3,8 @@
 
 #include <jpeglib.h>
 
-/* Decode a JPEG file, print out the RGB color samples as a JSON array */
+/* Decode a JPEG file, print out the RGB color samples as a JSON array
+ * If a scale denominator (2, 4, or 8) is given, decode at 1/2, 1/4, or 1/8 size */
 
 int main(int argc, char **argv)
 {
@@ -12,7 +13,7 @@ int main(int argc, char **argv)
   JSAMPROW row_pointer;
 
   if (argc < 2) {
-    fprintf(stderr, "Usage: decode-jpeg <filename>\n");
+    fprintf(stderr, "Usage: decode-jpeg <filename> [<scale denominator>]\n");
     exit(1);
   }
 
@@ -23,16 +24,19 @@ int main(int argc, char **argv)
   jpeg_stdio_src(&cinfo, infile);
   jpeg_read_header(&cinfo, TRUE);
 
+  if (argc > 2)
+    cinfo.scale_denom = atoi(argv[2]);
+
   jpeg_start_decompress(&cinfo);
 
-  row_pointer = (JSAMPROW)(malloc(cinfo.output_width * cinfo.num_components));
+  row_pointer = (JSAMPROW)(malloc(cinfo.output_width * cinfo.output_components));
 
   printf("[");
   while (cinfo.output_scanline < cinfo.output_height) {
     jpeg_read_scanlines(&cinfo, &row_pointer, 1);
-    for (int i = 0; i < cinfo.image_width * cinfo.num_components; i++) {
+    for (int i = 0; i < cinfo.output_width * cinfo.output_components; i++) {
       printf("%u", (unsigned char)(row_pointer[i]));
-      if (i+1 < cinfo.image_width * cinfo.num_components || cinfo.output_scanline < cinfo.output_height)
+      if (i+1 < cinfo.output_width * cinfo.output_components || cinfo.output_scanline < cinfo.output_height)
         printf(",");
     }
     if (cinfo.output_scanline < cinfo.output_height)
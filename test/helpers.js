@@ -0,0 +1,26 @@
+'use strict';
+
+/* Assertions shared by the test scripts */
+
+/* Check that calling `fn` throws an exception */
+function assertThrows(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return;
+  }
+  throw new Error(`expected ${fn} to throw`);
+}
+
+/* Check that the promise returned by `fn` is rejected */
+async function assertRejects(fn) {
+  try {
+    await fn();
+  } catch (e) {
+    return;
+  }
+  throw new Error(`expected ${fn} to reject`);
+}
+
+module.exports.assertThrows = assertThrows;
+module.exports.assertRejects = assertRejects;
@@ -1,6 +1,7 @@
 'use strict';
 
-const { prepareDecoder, decodeBuffer, decodeOne } = require("../huffman.js");
+const { prepareDecoder, BitReader } = require("../huffman.js");
+const { assertThrows } = require("./helpers.js");
 
 function equals(a, b) {
   if (Array.isArray(a)) {
@@ -19,18 +20,33 @@ function assertArray(actual, expected) {
     throw new Error(`expected ${actual} to be ${expected}`);
 }
 
+function assertEquals(a, b) {
+  if (a !== b)
+    throw new Error(`expected ${a} to === ${b}`);
+}
+
+/* Decode `n` symbols, after skipping `skipBits` bits of input */
+function decodeSymbols(buffer, skipBits, n, decoder) {
+  const reader = new BitReader(buffer);
+  reader.readBits(skipBits);
+  const result = [];
+  while (n--)
+    result.push(reader.decodeHuffman(decoder));
+  return result;
+}
+
 /* Very simple test first */
 var map = new Map([['00', 1], ['010', 2], ['011', 3]]);
 var decoder = prepareDecoder(map);
 assertArray(
-  decodeBuffer(Buffer.from("\x00\x4F", 'binary'), 0, 2, decoder),
+  decodeSymbols(Buffer.from("\x00\x4F", 'binary'), 0, 6, decoder),
   [1, 1, 1, 1, 2, 3]);
 assertArray(
-  decodeOne(Buffer.from("\x02\x4F", 'binary'), 0, 2, 5, decoder),
-  [1, 0, 2]);
+  decodeSymbols(Buffer.from("\x02\x4F", 'binary'), 5, 3, decoder),
+  [2, 2, 3]);
 assertArray(
-  decodeOne(Buffer.from("\x02\x4F", 'binary'), 0, 2, 4, decoder),
-  [0, 6, 1]);
+  decodeSymbols(Buffer.from("\x02\x4F", 'binary'), 4, 1, decoder),
+  [1]);
 
 /* Regression test for bug in handling of longer bitstrings */
 map = new Map([
@@ -41,5 +57,49 @@ map = new Map([
 ]);
 decoder = prepareDecoder(map);
 assertArray(
-  decodeOne(Buffer.from("\x37\xFE\x00", 'binary'), 0, 3, 5, decoder),
-  [2, 5, 148]);
+  decodeSymbols(Buffer.from("\x37\xFE\x00", 'binary'), 5, 1, decoder),
+  [148]);
+
+/* Bit sequences which don't start with any valid code */
+assertThrows(() => decodeSymbols(Buffer.from("\xC0\x00", 'binary'), 0, 1, prepareDecoder(new Map([['00', 1], ['010', 2], ['011', 3]]))));
+
+/* Reading raw bits */
+var buf = Buffer.from([0xA6, 0x35]);
+function readBits(skipBits, nBits) {
+  const reader = new BitReader(buf);
+  reader.readBits(skipBits);
+  return reader.readBits(nBits);
+}
+assertEquals(readBits(0, 0), 0);
+assertEquals(readBits(0, 3), 5);
+assertEquals(readBits(0, 8), 0xA6);
+assertEquals(readBits(0, 10), 0xA6 << 2);
+assertEquals(readBits(0, 16), 0xA635);
+
+assertEquals(readBits(1, 0), 0);
+assertEquals(readBits(1, 3), 2);
+assertEquals(readBits(1, 7), 0x26);
+assertEquals(readBits(1, 8), 0x26 << 1);
+
+assertEquals(readBits(8, 4), 3);
+assertEquals(readBits(9, 3), 3);
+assertEquals(readBits(9, 7), 0x35);
+
+/* 0xFF bytes are followed by a stuffed zero byte, which is skipped
+ * Any other byte after 0xFF is a marker; after that, we only get zeroes */
+var reader = new BitReader(Buffer.from([0xFF, 0x00, 0x12, 0xFF, 0xD9, 0x34]));
+assertEquals(reader.readBits(12), 0xFF1);
+assertEquals(reader.hasMoreData(), true);
+assertEquals(reader.readBits(8), 0x20);
+assertEquals(reader.hasMoreData(), false);
+
+/* The end of the input can also be given explicitly */
+reader = new BitReader(Buffer.from([0x12, 0x34, 0x56]), 1, 2);
+assertEquals(reader.readBits(8), 0x34);
+assertEquals(reader.hasMoreData(), false);
+
+/* A Huffman code can't run past the end of the input */
+reader = new BitReader(Buffer.from([0x3F]));
+decoder = prepareDecoder(new Map([['0', 0], ['10', 1], ['110', 2], ['1110', 3], ['11110', 4], ['111110', 5], ['1111110', 6]]));
+assertArray([reader.decodeHuffman(decoder), reader.decodeHuffman(decoder)], [0, 0]);
+assertThrows(() => reader.decodeHuffman(decoder));
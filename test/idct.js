@@ -0,0 +1,87 @@
+'use strict';
+
+const { integerIDCT, fastIDCT, floatIDCT, integerIDCT4x4, integerIDCT2x2, integerIDCT1x1, reducedFloatIDCT } = require("../idct.js");
+const { JPEG } = require("../jpeg.js");
+
+function assertEquals(a, b) {
+  if (a !== b)
+    throw new Error(`expected ${a} to === ${b}`);
+}
+
+function assertWithin(actual, expected, tolerance) {
+  for (var i = 0; i < expected.length; i++)
+    if (!(Math.abs(actual[i] - expected[i]) <= tolerance))
+      throw new Error(`Index ${i} is different: got ${actual[i]}, expected ${expected[i]} (+/- ${tolerance})`);
+}
+
+/* If there are no AC coefficients, all samples are DC/8 */
+var block = new Array(64).fill(0);
+block[0] = -320;
+assertWithin(integerIDCT(block), new Array(64).fill(-40), 0);
+assertWithin(fastIDCT(block), new Array(64).fill(-40), 0);
+assertWithin(floatIDCT(block), new Array(64).fill(-40), 0);
+
+/* Compare with the IDCT formula, evaluated directly, for some pseudo-random blocks
+ * The coefficients are mostly at low frequencies, like real images */
+const jpg = new JPEG();
+var seed = 1;
+function random() {
+  seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+  return seed / 0x80000000;
+}
+
+for (var n = 0; n < 500; n++) {
+  const coefficients = new Array(64).fill(0);
+  coefficients[0] = Math.round((random() - 0.5) * 2000);
+  for (var i = 1; i < 64; i++)
+    if (random() < 0.5 / i)
+      coefficients[i] = Math.round((random() - 0.5) * 1000 / i);
+
+  const expected = jpg.exactInverseDCT(coefficients, new Float64Array(64));
+  assertWithin(floatIDCT(coefficients), expected, 1e-9);
+  assertWithin(integerIDCT(coefficients), expected.map(Math.round), 1);
+  assertWithin(integerIDCT(coefficients, 12), expected.map(Math.round), 1);
+  assertWithin(fastIDCT(coefficients), expected.map(Math.round), 2);
+  assertWithin(fastIDCT(coefficients, 12), expected.map(Math.round), 2);
+}
+
+/* The integer IDCTs return integers */
+assertEquals(integerIDCT(block) instanceof Int32Array, true);
+assertEquals(fastIDCT(block) instanceof Int32Array, true);
+
+/* If an output array is passed, the samples are written there */
+const output = new Int32Array(64);
+assertEquals(integerIDCT(block, 8, output), output);
+assertWithin(output, new Array(64).fill(-40), 0);
+
+/* The reduced-size IDCTs give the average of each square of full-size samples */
+function averageSamples(samples, size) {
+  const ratio = 8 / size, result = new Array(size * size).fill(0);
+  for (var y = 0; y < 8; y++)
+    for (var x = 0; x < 8; x++)
+      result[Math.floor(y / ratio) * size + Math.floor(x / ratio)] += samples[y*8 + x] / (ratio * ratio);
+  return result;
+}
+
+for (var n = 0; n < 200; n++) {
+  const coefficients = new Array(64).fill(0);
+  coefficients[0] = Math.round((random() - 0.5) * 2000);
+  for (var i = 1; i < 64; i++)
+    if (random() < 0.5 / i)
+      coefficients[i] = Math.round((random() - 0.5) * 1000 / i);
+
+  const expected = jpg.exactInverseDCT(coefficients, new Float64Array(64));
+  for (const size of [4, 2, 1])
+    assertWithin(reducedFloatIDCT(coefficients, size), averageSamples(expected, size), 1e-9);
+  assertWithin(integerIDCT4x4(coefficients), averageSamples(expected, 4).map(Math.round), 1);
+  assertWithin(integerIDCT4x4(coefficients, 12), averageSamples(expected, 4).map(Math.round), 1);
+  assertWithin(integerIDCT2x2(coefficients), averageSamples(expected, 2).map(Math.round), 1);
+  assertWithin(integerIDCT2x2(coefficients, 12), averageSamples(expected, 2).map(Math.round), 1);
+  assertWithin(integerIDCT1x1(coefficients), [Math.round(coefficients[0] / 8)], 0);
+}
+
+assertWithin(integerIDCT4x4(block), new Array(16).fill(-40), 0);
+assertWithin(integerIDCT2x2(block), new Array(4).fill(-40), 0);
+assertWithin(reducedFloatIDCT(block, 1), [-40], 1e-9);
+
+console.log("OK!");
@@ -33,6 +33,7 @@ function assertEquals(a, b) {
 }
 
 const { JPEG } = require('../jpeg.js');
+const { assertThrows } = require('./helpers.js');
 var jpg = new JPEG();
 
 /* Sample Huffman table from JPEG spec, K.3.3.1
@@ -55,23 +56,6 @@ assertEquals(tbl.codes.get('1111110'), 9);
 assertEquals(tbl.codes.get('11111110'), 10);
 assertEquals(tbl.codes.get('111111110'), 11);
 
-/* Test some helper routines */
-var buf = Buffer.from([0xA6, 0x35]);
-assertArray(jpg.readBits(buf, 0, 0, 0), [0, 0, 0]);
-assertArray(jpg.readBits(buf, 0, 0, 3), [0, 3, 5]);
-assertArray(jpg.readBits(buf, 0, 0, 8), [1, 0, 0xA6]);
-assertArray(jpg.readBits(buf, 0, 0, 10), [1, 2, 0xA6 << 2]);
-assertArray(jpg.readBits(buf, 0, 0, 16), [2, 0, 0xA635]);
-
-assertArray(jpg.readBits(buf, 0, 1, 0), [0, 1, 0]);
-assertArray(jpg.readBits(buf, 0, 1, 3), [0, 4, 2]);
-assertArray(jpg.readBits(buf, 0, 1, 7), [1, 0, 0x26]);
-assertArray(jpg.readBits(buf, 0, 1, 8), [1, 1, 0x26 << 1]);
-
-assertArray(jpg.readBits(buf, 1, 0, 4), [1, 4, 3]);
-assertArray(jpg.readBits(buf, 1, 1, 3), [1, 4, 3]);
-assertArray(jpg.readBits(buf, 1, 1, 7), [2, 0, 0x35]);
-
 /* Try decoding very simple JPEGs
  * The first ones are just solid colors */
 const fs = require('fs');
@@ -230,24 +214,25 @@ var array9 = [
     1,   1,   1,   1,   1,   1,   1,   1,   1,   1,   1,   1,
     1,   1,   1,   1,   1,   1,   1,   1,   1, 124, 124, 124,
   124, 124, 124, 124, 124, 124, 124, 124, 124, 124, 124, 124,
-  254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254,
-  254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
    60,  60,  60,  60,  60,  60,  60,  60,  60,  60,  60,  60,
-   60,  60,  60, 254, 254, 254, 254, 254, 254, 254, 254, 254,
-  254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254,
-  254, 254, 254,  60,  60,  60,  60,  60,  60,  60,  60,  60,
-   60,  60,  60,  60,  60,  60, 254, 254, 254, 254, 254, 254,
-  254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254,
-  254, 254, 254, 254, 254, 254,  60,  60,  60,  60,  60,  60,
-   60,  60,  60,  60,  60,  60,  60,  60,  60, 254, 254, 254,
-  254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254,
-  254, 254, 254, 254, 254, 254, 254, 254, 254,  60,  60,  60,
+   60,  60,  60, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255,  60,  60,  60,  60,  60,  60,  60,  60,  60,
+   60,  60,  60,  60,  60,  60, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255,  60,  60,  60,  60,  60,  60,
+   60,  60,  60,  60,  60,  60,  60,  60,  60, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255,  60,  60,  60,
    60,  60,  60,  60,  60,  60,  60,  60,  60,  60,  60,  60,
-  254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254,
-  254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254, 254,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
    60,  60,  60,  60,  60,  60,  60,  60,  60,  60,  60,  60,
    60,  60,  60
 ];
+/* The same as libjpeg gives; samples are rounded to the nearest integer */
 var [jpg9, raster9] = JPEG.fromBytes(fs.readFileSync(__dirname + '/13x13-grayscale.jpg'));
 assertArray(Array.from(raster9), array9);
 
@@ -1025,4 +1010,840 @@ const array33 = [
 var [jpg33, raster33] = JPEG.fromBytes(fs.readFileSync(__dirname + '/random8.jpg'));
 assertArray(Array.from(raster33), array33);
 
+/* Lossless JPEGs
+ * The samples in these test images were generated using this formula,
+ * so we know exactly what the decoder should output */
+function losslessTestPattern(x, y, precision, seed) {
+  return ((x * 37) + (y * 91) + ((x * y * 7919 + seed) % 61) * 3) % (1 << precision);
+}
+
+/* `components` is an array of [horizSampling, vertSampling, seed] */
+function expectedLosslessRaster(width, height, precision, pointTransform, components) {
+  const maxH = Math.max(...components.map((c) => c[0]));
+  const maxV = Math.max(...components.map((c) => c[1]));
+  const result = [];
+  for (var y = 0; y < height; y++) {
+    for (var x = 0; x < width; x++) {
+      for (var i = 0; i < 3; i++) {
+        const [h, v, seed] = components[components.length === 1 ? 0 : i];
+        const sample = losslessTestPattern(Math.floor(x * h / maxH), Math.floor(y * v / maxV), precision, seed);
+        /* Point transform discards low-order bits */
+        result.push((sample >> pointTransform) << pointTransform);
+      }
+    }
+  }
+  return result;
+}
+
+/* 12-bit grayscale, one image for each predictor
+ * #4 also uses restart markers, and #6 uses a point transform */
+for (var predictor = 1; predictor <= 7; predictor++) {
+  var [jpg34, raster34] = JPEG.fromBytes(fs.readFileSync(__dirname + `/lossless-predictor${predictor}.jpg`));
+  assertEquals(jpg34.frameData.lossless, true);
+  assertEquals(raster34 instanceof Uint16Array, true);
+  assertArray(Array.from(raster34), expectedLosslessRaster(15, 11, 12, (predictor === 6) ? 2 : 0, [[1, 1, 0]]));
+}
+
+/* 8-bit, 3 components with different sampling factors, interleaved, with restart markers */
+var [jpg35, raster35] = JPEG.fromBytes(fs.readFileSync(__dirname + '/lossless-rgb-sampling.jpg'));
+assertArray(Array.from(raster35), expectedLosslessRaster(13, 9, 8, 0, [[2, 1, 1], [1, 1, 2], [1, 1, 3]]));
+
+/* 4-bit, one non-interleaved scan and one interleaved scan */
+var [jpg36, raster36] = JPEG.fromBytes(fs.readFileSync(__dirname + '/lossless-4bit-multiscan.jpg'));
+assertArray(Array.from(raster36), expectedLosslessRaster(10, 10, 4, 0, [[1, 2, 4], [1, 1, 5], [1, 1, 6]]));
+
+/* 16-bit, arithmetic-coded, with restart markers */
+var [jpg37, raster37] = JPEG.fromBytes(fs.readFileSync(__dirname + '/lossless-arithmetic.jpg'));
+assertArray(Array.from(raster37), expectedLosslessRaster(15, 11, 16, 0, [[1, 1, 7]]));
+
+/* 10-bit, arithmetic-coded with non-default conditioning, various sampling factors and point transform */
+var [jpg38, raster38] = JPEG.fromBytes(fs.readFileSync(__dirname + '/lossless-arith-sampling.jpg'));
+assertArray(Array.from(raster38), expectedLosslessRaster(13, 9, 10, 1, [[1, 1, 8], [2, 2, 9], [1, 1, 10]]));
+
+/* Hierarchical, 3 lossless components; a 7x5 frame, then a 14x10 differential frame */
+var [jpg39, raster39] = JPEG.fromBytes(fs.readFileSync(__dirname + '/hierarchical-lossless.jpg'));
+assertEquals(jpg39.levels.length, 2);
+assertArray(Array.from(raster39), expectedLosslessRaster(14, 10, 8, 0, [[1, 1, 11], [1, 1, 12], [1, 1, 13]]));
+
+/* Same, but arithmetic-coded */
+var [jpg40, raster40] = JPEG.fromBytes(fs.readFileSync(__dirname + '/hierarchical-lossless-arith.jpg'));
+assertArray(Array.from(raster40), expectedLosslessRaster(14, 10, 8, 0, [[1, 1, 11], [1, 1, 12], [1, 1, 13]]));
+
+/* Hierarchical, with an 8x6 DCT frame followed by a 16x11 lossless differential frame */
+var [jpg41, raster41] = JPEG.fromBytes(fs.readFileSync(__dirname + '/hierarchical-dct-lossless.jpg'));
+assertEquals(jpg41.levels[0].width, 8);
+assertEquals(jpg41.levels[0].height, 6);
+assertEquals(jpg41.paintLevel(0).length, 8 * 6 * 3);
+assertArray(Array.from(raster41), expectedLosslessRaster(16, 11, 8, 0, [[1, 1, 20]]));
+
+/* Hierarchical, with 3 DCT frames: 8x8, then 16x8 (expanded horizontally),
+ * then 16x16 (expanded vertically)
+ * The image is a smooth pattern, which should be reproduced closely */
+var [jpg42, raster42] = JPEG.fromBytes(fs.readFileSync(__dirname + '/hierarchical-dct.jpg'));
+assertEquals(jpg42.levels.length, 3);
+assertEquals(jpg42.levels[1].width, 16);
+assertEquals(jpg42.levels[1].height, 8);
+assertEquals(jpg42.paintLevel(1).length, 16 * 8 * 3);
+for (var y = 0; y < 16; y++) {
+  for (var x = 0; x < 16; x++) {
+    const expected = Math.round(128 + 60 * Math.sin((x + 3) / 5) + 50 * Math.cos((y * 2 + 3) / 7));
+    if (Math.abs(raster42[(y * 16 + x) * 3] - expected) > 1)
+      throw new Error(`Hierarchical DCT image: expected ${expected} at (${x},${y}), got ${raster42[(y * 16 + x) * 3]}`);
+  }
+}
+
+/* 12-bit DCT-based JPEGs
+ * These were encoded from a smooth test pattern using quantization tables with mostly 1s,
+ * so the decoded image should be very close to the original pattern */
+function smoothTestPattern12(x, y, seed) {
+  return Math.round(2048 + 1500 * Math.sin((x + seed) / 4) * Math.cos((y - seed) / 5));
+}
+
+/* Y, Cb, and Cr come from `pattern` with seeds 1, 2, and 3
+ * If `subsampled` is true, Cb and Cr have half the resolution of Y in both directions */
+/* `xScale` and `yScale` are the ratios between the luminance and chrominance sampling factors */
+function expectedYCbCrRaster(width, height, precision, pattern, xScale = 1, yScale = xScale) {
+  const center = 1 << (precision - 1);
+  const result = [];
+  for (var y = 0; y < height; y++) {
+    for (var x = 0; x < width; x++) {
+      const cx = Math.floor(x / xScale), cy = Math.floor(y / yScale);
+      const Y = pattern(x, y, 1), Cb = pattern(cx, cy, 2) - center, Cr = pattern(cx, cy, 3) - center;
+      result.push(Y + (1.402 * Cr), Y - (0.34414 * Cb) - (0.71414 * Cr), Y + (1.772 * Cb));
+    }
+  }
+  return result.map((value) => Math.min(Math.max(Math.round(value), 0), (1 << precision) - 1));
+}
+
+function assertRasterWithin(actual, expected, tolerance) {
+  assertEquals(actual.length, expected.length);
+  for (var i = 0; i < actual.length; i++)
+    if (Math.abs(actual[i] - expected[i]) > tolerance)
+      throw new Error(`Index ${i} is different: got ${actual[i]}, expected ${expected[i]} (+/- ${tolerance})`);
+}
+
+/* Grayscale, extended sequential, with restart markers */
+var [jpg43, raster43] = JPEG.fromBytes(fs.readFileSync(__dirname + '/12bit-grayscale.jpg'), { uint16: true });
+assertEquals(jpg43.frameData.precision, 12);
+assertEquals(raster43 instanceof Uint16Array, true);
+var expected43 = [];
+for (var y = 0; y < 13; y++)
+  for (var x = 0; x < 19; x++)
+    expected43.push(...new Array(3).fill(smoothTestPattern12(x, y, 0)));
+assertRasterWithin(raster43, expected43, 1);
+
+/* By default, 12-bit samples are scaled down to 8 bits, rounding to the nearest value */
+var [, raster43b] = JPEG.fromBytes(fs.readFileSync(__dirname + '/12bit-grayscale.jpg'));
+assertEquals(raster43b instanceof Buffer, true);
+assertArray(Array.from(raster43b), Array.from(raster43).map((value) => Math.min((value + 8) >> 4, 255)));
+
+/* YCbCr, extended sequential, Y has 2x2 sampling, one quantization table has 16-bit values */
+var [jpg44, raster44] = JPEG.fromBytes(fs.readFileSync(__dirname + '/12bit-ycbcr-sampling.jpg'), { uint16: true });
+assertRasterWithin(raster44, expectedYCbCrRaster(21, 14, 12, smoothTestPattern12, 2), 2);
+
+/* YCbCr, progressive, with successive approximation for DC coefficients */
+var [jpg45, raster45] = JPEG.fromBytes(fs.readFileSync(__dirname + '/12bit-progressive.jpg'), { uint16: true });
+assertEquals(jpg45.frameData.progressive, true);
+assertRasterWithin(raster45, expectedYCbCrRaster(17, 10, 12, smoothTestPattern12), 3);
+
+/* CMYK and YCCK, written by libjpeg from a smooth test pattern
+ * When an Adobe segment is present, the image data is inverted */
+function cmykTestPattern(x, y, channel) {
+  return Math.round(128 + 100 * Math.sin((x + 3 * channel) / 5) * Math.cos((y + channel) / 6));
+}
+
+function expectedCMYKRaster(width, height, inverted) {
+  const result = [];
+  for (var y = 0; y < height; y++)
+    for (var x = 0; x < width; x++)
+      for (var channel = 0; channel < 4; channel++)
+        result.push(inverted ? 255 - cmykTestPattern(x, y, channel) : cmykTestPattern(x, y, channel));
+  return result;
+}
+
+function cmykToRGB(cmyk) {
+  const result = [];
+  for (var i = 0; i < cmyk.length; i += 4)
+    for (var j = 0; j < 3; j++)
+      result.push(Math.round((255 - cmyk[i+j]) * (255 - cmyk[i+3]) / 255));
+  return result;
+}
+
+var [jpg46, raster46] = JPEG.fromBytes(fs.readFileSync(__dirname + '/cmyk-adobe.jpg'), { cmyk: true });
+assertEquals(jpg46.adobe.transform, 0);
+assertRasterWithin(raster46, expectedCMYKRaster(13, 11, true), 1);
+/* By default, CMYK is converted to RGB */
+var [, raster46b] = JPEG.fromBytes(fs.readFileSync(__dirname + '/cmyk-adobe.jpg'));
+assertArray(Array.from(raster46b), cmykToRGB(raster46));
+
+/* YCCK, with 2x2 sampling for the Y component
+ * Because of the different upsampling method used by libjpeg, we can't match it exactly */
+var [jpg47, raster47] = JPEG.fromBytes(fs.readFileSync(__dirname + '/ycck-adobe.jpg'), { cmyk: true });
+assertEquals(jpg47.adobe.transform, 2);
+assertRasterWithin(raster47, expectedCMYKRaster(19, 14, true), 9);
+var [, raster47b] = JPEG.fromBytes(fs.readFileSync(__dirname + '/ycck-adobe.jpg'));
+assertArray(Array.from(raster47b), cmykToRGB(raster47));
+
+/* CMYK with no Adobe segment; the image data is not inverted */
+var [jpg48, raster48] = JPEG.fromBytes(fs.readFileSync(__dirname + '/cmyk-no-adobe.jpg'), { cmyk: true });
+assertEquals(jpg48.adobe, undefined);
+assertRasterWithin(raster48, expectedCMYKRaster(10, 9, false), 1);
+
+/* Color space inference */
+assertEquals(jpg.inferColorSpace([{ id: 1 }], false), 'grayscale');
+assertEquals(jpg.inferColorSpace([{ id: 1 }, { id: 2 }, { id: 3 }], false), 'YCbCr');
+assertEquals(jpg.inferColorSpace([{ id: 1 }, { id: 2 }, { id: 3 }], true), 'RGB');
+assertEquals(jpg.inferColorSpace([{ id: 82 }, { id: 71 }, { id: 66 }], false), 'RGB'); /* 'R', 'G', 'B' */
+assertEquals(jpg.inferColorSpace([{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }], false), 'CMYK');
+/* Lossless JPEGs follow the same rules, except that RGB is assumed if nothing says otherwise */
+var jpgJfif = new JPEG();
+jpgJfif.jfif = { majorVersion: 1, minorVersion: 2 };
+assertEquals(jpgJfif.inferColorSpace([{ id: 1 }, { id: 2 }, { id: 3 }], true), 'YCbCr');
+var jpgAdobe = new JPEG();
+jpgAdobe.adobe = { color: 'YCbCr', transform: 1 };
+assertEquals(jpgAdobe.inferColorSpace([{ id: 1 }, { id: 2 }, { id: 3 }], true), 'YCbCr');
+jpgAdobe.adobe = { color: 'CMYK/RGB', transform: 0 };
+assertEquals(jpgAdobe.inferColorSpace([{ id: 1 }, { id: 2 }, { id: 3 }], true), 'RGB');
+
+/* RGB (not converted to YCbCr), with Adobe segment; written by libjpeg */
+function rgbTestPattern(x, y, channel) {
+  return Math.round(128 + 100 * Math.sin((x + 4 * channel) / 5) * Math.cos((y - channel) / 4));
+}
+var [jpg49, raster49] = JPEG.fromBytes(fs.readFileSync(__dirname + '/rgb-adobe.jpg'));
+assertEquals(jpg49.colorSpace, 'RGB');
+var expected49 = [];
+for (var y = 0; y < 10; y++)
+  for (var x = 0; x < 14; x++)
+    expected49.push(rgbTestPattern(x, y, 0), rgbTestPattern(x, y, 1), rgbTestPattern(x, y, 2));
+assertRasterWithin(raster49, expected49, 1);
+
+/* The color space can be overridden; if we decode the same image as YCbCr, the result
+ * should be (almost) the same as converting the above result from YCbCr to RGB */
+var [jpg49b, raster49b] = JPEG.fromBytes(fs.readFileSync(__dirname + '/rgb-adobe.jpg'), { colorSpace: 'YCbCr' });
+assertEquals(jpg49b.colorSpace, 'YCbCr');
+var converted49 = Buffer.alloc(raster49.length);
+for (var i = 0; i < raster49.length; i += 3)
+  jpg49b.convertYCbCrtoRGB(converted49, i, raster49[i] - 128, raster49[i+1] - 128, raster49[i+2] - 128);
+assertRasterWithin(raster49b, Array.from(converted49), 3);
+
+/* But the color space must match the number of components */
+assertThrows(() => JPEG.fromBytes(fs.readFileSync(__dirname + '/rgb-adobe.jpg'), { colorSpace: 'CMYK' }));
+
+/* An unknown Adobe transform is ignored; with no JFIF segment and component IDs 1, 2, 3,
+ * that means the image is taken to be YCbCr */
+var unknownTransform = Buffer.from(fs.readFileSync(__dirname + '/rgb-adobe.jpg'));
+unknownTransform[Array.from(JPEG.segments(unknownTransform)).find((s) => s.marker === 0xEE).index + 15] = 3;
+var [jpg49c, raster49c] = JPEG.fromBytes(unknownTransform);
+assertEquals(jpg49c.adobe, undefined);
+assertEquals(jpg49c.colorSpace, 'YCbCr');
+assertArray(Array.from(raster49c), Array.from(raster49b));
+assertEquals(JPEG.probe(unknownTransform).width, 14);
+
+/* Frames with a height of 0, followed by a DNL segment after the first scan
+ * Like the 12-bit images above, these were encoded from a smooth pattern */
+function smoothTestPattern(x, y, seed) {
+  return Math.round(128 + 90 * Math.sin((x + seed) / 4) * Math.cos((y - seed) / 5));
+}
+
+function expectedGrayscaleRaster(width, height, pattern) {
+  const result = [];
+  for (var y = 0; y < height; y++)
+    for (var x = 0; x < width; x++)
+      result.push(...new Array(3).fill(pattern(x, y, 0)));
+  return result;
+}
+
+/* YCbCr, with 2x2 sampling for Y */
+var [jpg50, raster50] = JPEG.fromBytes(fs.readFileSync(__dirname + '/dnl-sampling.jpg'));
+assertEquals(jpg50.frameData.height, 19);
+assertRasterWithin(raster50, expectedYCbCrRaster(21, 19, 8, smoothTestPattern, 2), 2);
+
+/* Grayscale, with restart markers; we don't know how many MCUs there will be until the last restart interval */
+var [jpg51, raster51] = JPEG.fromBytes(fs.readFileSync(__dirname + '/dnl-restart.jpg'));
+assertEquals(jpg51.frameData.height, 27);
+assertEquals(jpg51.coefficients[0].length, 4 * 4 * 64);
+assertRasterWithin(raster51, expectedGrayscaleRaster(30, 27, smoothTestPattern), 1);
+
+/* Grayscale, progressive */
+var [jpg52, raster52] = JPEG.fromBytes(fs.readFileSync(__dirname + '/dnl-progressive.jpg'));
+assertEquals(jpg52.frameData.height, 22);
+assertRasterWithin(raster52, expectedGrayscaleRaster(17, 22, smoothTestPattern), 1);
+
+/* Lossless, with 2x2 sampling for Y and restart markers; the samples are stored as they are decoded,
+ * and then trimmed to the height from the DNL segment */
+function expectedPlane(width, height, seed) {
+  const result = [];
+  for (var y = 0; y < height; y++)
+    for (var x = 0; x < width; x++)
+      result.push(smoothTestPattern(x, y, seed));
+  return result;
+}
+/* The samples for one component, leaving out those past the right edge of the image */
+function samplePlane(samples, samplesPerLine, width, height) {
+  const result = [];
+  for (var y = 0; y < height; y++)
+    for (var x = 0; x < width; x++)
+      result.push(samples[y * samplesPerLine + x]);
+  return result;
+}
+var [jpg52b] = JPEG.fromBytes(fs.readFileSync(__dirname + '/lossless-dnl-restart.jpg'));
+assertEquals(jpg52b.frameData.height, 13);
+assertEquals(jpg52b.samples[0].length, 16 * 14);
+assertArray(samplePlane(jpg52b.samples[0], 16, 15, 13), expectedPlane(15, 13, 1));
+assertArray(samplePlane(jpg52b.samples[1], 8, 8, 7), expectedPlane(8, 7, 2));
+assertArray(samplePlane(jpg52b.samples[2], 8, 8, 7), expectedPlane(8, 7, 3));
+
+/* Lossless, arithmetic-coded, with one scan for Y and another for Cb and Cr */
+var [jpg52c] = JPEG.fromBytes(fs.readFileSync(__dirname + '/lossless-dnl-arith.jpg'));
+assertEquals(jpg52c.frameData.height, 9);
+for (var i = 0; i < 3; i++)
+  assertArray(samplePlane(jpg52c.samples[i], 11, 11, 9), expectedPlane(11, 9, i + 1));
+
+/* Sequential images with a separate scan for some or all components
+ * When a scan has just one component, its MCUs are single blocks, in rows which
+ * only cover that component (not the whole MCU grid of the frame) */
+
+/* One scan per component, Y has 2x2 sampling, with restart markers */
+var [jpg53, raster53] = JPEG.fromBytes(fs.readFileSync(__dirname + '/multiscan-1comp.jpg'));
+assertRasterWithin(raster53, expectedYCbCrRaster(27, 21, 8, smoothTestPattern, 2), 2);
+
+/* Cb and Cr interleaved in one scan, then Y in another; Y has 1x2 sampling */
+var [jpg54, raster54] = JPEG.fromBytes(fs.readFileSync(__dirname + '/multiscan-2comp.jpg'));
+assertRasterWithin(raster54, expectedYCbCrRaster(19, 23, 8, smoothTestPattern, 1, 2), 2);
+
+/* All 3 components in one scan (for comparison); Y has 2x1 sampling */
+var [jpg55, raster55] = JPEG.fromBytes(fs.readFileSync(__dirname + '/multiscan-3comp.jpg'));
+assertRasterWithin(raster55, expectedYCbCrRaster(22, 13, 8, smoothTestPattern, 2, 1), 2);
+
+/* Grayscale, but Y has 2x2 sampling; that makes no difference, since the only
+ * scan is not interleaved */
+var [jpg56, raster56] = JPEG.fromBytes(fs.readFileSync(__dirname + '/grayscale-sampling.jpg'));
+assertRasterWithin(raster56, expectedGrayscaleRaster(20, 18, smoothTestPattern), 1);
+
+/* One scan per component, with restart markers and a DNL segment */
+var [jpg57, raster57] = JPEG.fromBytes(fs.readFileSync(__dirname + '/dnl-multiscan.jpg'));
+assertEquals(jpg57.frameData.height, 20);
+assertRasterWithin(raster57, expectedYCbCrRaster(26, 20, 8, smoothTestPattern, 2, 1), 2);
+
+/* Unusual combinations of sampling factors, including ones where the ratio between
+ * the sampling factors of two components is not a whole number
+ * `factors` is an array of [horizSampling, vertSampling] for Y, Cb, and Cr */
+function expectedSampledRaster(width, height, pattern, factors) {
+  const maxH = Math.max(...factors.map(([h, v]) => h));
+  const maxV = Math.max(...factors.map(([h, v]) => v));
+  const result = [];
+  for (var y = 0; y < height; y++) {
+    for (var x = 0; x < width; x++) {
+      const [Y, Cb, Cr] = factors.map(([h, v], i) => pattern(Math.floor(x * h / maxH), Math.floor(y * v / maxV), i + 1));
+      result.push(Y + (1.402 * (Cr - 128)), Y - (0.34414 * (Cb - 128)) - (0.71414 * (Cr - 128)), Y + (1.772 * (Cb - 128)));
+    }
+  }
+  return result.map((value) => Math.min(Math.max(Math.round(value), 0), 255));
+}
+
+/* Y is 3x2, Cb is 2x1, Cr is 1x1; so Cb has 2 samples for every 3 of Y horizontally */
+var [jpg58, raster58] = JPEG.fromBytes(fs.readFileSync(__dirname + '/sampling-3x2-2x1-1x1.jpg'));
+assertRasterWithin(raster58, expectedSampledRaster(37, 21, smoothTestPattern, [[3, 2], [2, 1], [1, 1]]), 2);
+
+/* Y is 4x1, Cb is 3x1, Cr is 1x3; Cr has higher vertical resolution than Y. With restart markers */
+var [jpg59, raster59] = JPEG.fromBytes(fs.readFileSync(__dirname + '/sampling-4x1-3x1-1x3.jpg'));
+assertEquals(jpg59.mcuPixelWidth, 32);
+assertEquals(jpg59.mcuPixelHeight, 24);
+assertRasterWithin(raster59, expectedSampledRaster(35, 29, smoothTestPattern, [[4, 1], [3, 1], [1, 3]]), 2);
+
+/* Y is 4x2, Cb and Cr are 1x1 (10 blocks per MCU, the most allowed) */
+var [jpg60, raster60] = JPEG.fromBytes(fs.readFileSync(__dirname + '/sampling-4x2-1x1-1x1.jpg'));
+assertRasterWithin(raster60, expectedSampledRaster(41, 19, smoothTestPattern, [[4, 2], [1, 1], [1, 1]]), 2);
+
+/* Y is 1x3, Cb is 3x1, Cr is 1x1; Y is in one scan, Cb and Cr in another */
+var [jpg61, raster61] = JPEG.fromBytes(fs.readFileSync(__dirname + '/sampling-1x3-3x1-1x1.jpg'));
+assertRasterWithin(raster61, expectedSampledRaster(26, 30, smoothTestPattern, [[1, 3], [3, 1], [1, 1]]), 2);
+
+/* Progressive, Y is 2x3, Cb is 3x2, Cr is 1x1 */
+var [jpg62, raster62] = JPEG.fromBytes(fs.readFileSync(__dirname + '/sampling-progressive-2x3-3x2.jpg'));
+assertRasterWithin(raster62, expectedSampledRaster(29, 31, smoothTestPattern, [[2, 3], [3, 2], [1, 1]]), 2);
+
+/* Component IDs don't need to be 1, 2, 3... */
+
+/* RGB, with component IDs 'R', 'G', 'B' and no Adobe segment to say that it is RGB */
+var [jpg63, raster63] = JPEG.fromBytes(fs.readFileSync(__dirname + '/rgb-component-ids.jpg'));
+assertArray(jpg63.frameData.components.map((c) => c.id), [0x52, 0x47, 0x42]);
+assertEquals(jpg63.colorSpace, 'RGB');
+var expected63 = [];
+for (var y = 0; y < 9; y++)
+  for (var x = 0; x < 11; x++)
+    expected63.push(rgbTestPattern(x, y, 0), rgbTestPattern(x, y, 1), rgbTestPattern(x, y, 2));
+assertRasterWithin(raster63, expected63, 1);
+
+/* YCbCr, with component IDs 0, 1, 2; one scan per component, with Cr before Cb */
+var [jpg64, raster64] = JPEG.fromBytes(fs.readFileSync(__dirname + '/component-ids-0-1-2.jpg'));
+assertArray(jpg64.frameData.components.map((c) => c.id), [0, 1, 2]);
+assertRasterWithin(raster64, expectedYCbCrRaster(23, 17, 8, smoothTestPattern, 2), 2);
+
+/* A scan header can only refer to components which are in the frame header */
+var badScan = fs.readFileSync(__dirname + '/component-ids-0-1-2.jpg');
+badScan[badScan.indexOf(Buffer.from([0xFF, 0xDA])) + 5] = 3;
+assertThrows(() => JPEG.fromBytes(badScan));
+
+/* And the frame header can't use the same ID for two components */
+var badFrame = fs.readFileSync(__dirname + '/component-ids-0-1-2.jpg');
+badFrame[badFrame.indexOf(Buffer.from([0xFF, 0xC0])) + 13] = 0;
+assertThrows(() => JPEG.fromBytes(badFrame));
+
+/* Quantization table 0 is used for all components, but it is redefined after the scan for Y;
+ * Cb and Cr must be dequantized using the new table, and Y using the old one
+ * Coarse quantization tables were used, so the result is not so close to the original pattern */
+var [jpg65, raster65] = JPEG.fromBytes(fs.readFileSync(__dirname + '/requantized-multiscan.jpg'));
+assertArray(jpg65.frameData.components.map((c) => c.quantValues[0]), [1, 3, 3]);
+assertRasterWithin(raster65, expectedYCbCrRaster(25, 18, 8, smoothTestPattern, 2, 1), 12);
+
+/* Likewise for a progressive image, where Y has its own DC scan before the table is redefined */
+var [jpg66, raster66] = JPEG.fromBytes(fs.readFileSync(__dirname + '/requantized-progressive.jpg'));
+assertArray(jpg66.frameData.components.map((c) => c.quantValues[0]), [1, 3, 3]);
+assertRasterWithin(raster66, expectedYCbCrRaster(21, 19, 8, smoothTestPattern, 2, 1), 12);
+
+/* Arithmetic-coded images with no DAC segment, so the default conditioning values are used
+ * These are copies of other test images, with the DAC segments (which only had default values) removed */
+var [jpg67, raster67] = JPEG.fromBytes(fs.readFileSync(__dirname + '/arithmetic-no-dac.jpg'));
+assertArray(Array.from(raster67), Array.from(JPEG.fromBytes(fs.readFileSync(__dirname + '/arithmetic1.jpg'))[1]));
+
+/* Progressive, with restart markers */
+var [jpg68, raster68] = JPEG.fromBytes(fs.readFileSync(__dirname + '/prog-arith-no-dac.jpg'));
+assertArray(Array.from(raster68), Array.from(JPEG.fromBytes(fs.readFileSync(__dirname + '/prog+arith+restart+sampling.jpg'))[1]));
+
+/* Segments are found using their length fields, so 0xFF bytes inside them are not taken as markers
+ * This is a copy of 16x16-four-colors.jpg, with an EXIF segment (containing a JPEG thumbnail)
+ * and an ICC color profile segment (containing bytes which look like markers) added */
+var [jpg69, raster69] = JPEG.fromBytes(fs.readFileSync(__dirname + '/exif-thumbnail.jpg'));
+assertEquals(jpg69.frameData.width, 16);
+assertArray(Array.from(raster69), Array.from(raster6));
+
+var segments69 = Array.from(JPEG.segments(fs.readFileSync(__dirname + '/exif-thumbnail.jpg')));
+assertArray(segments69.map((s) => s.marker), [0xD8, 0xE1, 0xE2, 0xE0, 0xFE, 0xDB, 0xDB, 0xC0, 0xC4, 0xC4, 0xC4, 0xC4, 0xDA, null, 0xD9]);
+assertEquals(segments69[1].index, 2);
+assertEquals(segments69[2].index, segments69[1].end);
+
+/* Entropy-coded data is split up by restart markers */
+var segments51 = Array.from(JPEG.segments(fs.readFileSync(__dirname + '/dnl-restart.jpg')));
+var scanIndex = segments51.findIndex((s) => s.marker === 0xDA);
+assertArray(segments51.slice(scanIndex).map((s) => s.marker), [0xDA, null, 0xD0, null, 0xD1, null, 0xD2, null, 0xD3, null, 0xD4, null, 0xDC, 0xD9]);
+
+/* List of segments, with their contents parsed */
+var segments70 = JPEG.parseSegments(fs.readFileSync(__dirname + '/dnl-restart.jpg'));
+assertArray(segments70.map((s) => s.offset), [0, 2, 71, 77, 90, 303, 313, 449, 451, 587, 589, 728, 730, 863, 865, 994, 996, 1042, 1048]);
+assertArray(segments70.map((s) => s.length), [2, 69, 6, 13, 213, 10, 136, 2, 136, 2, 139, 2, 133, 2, 129, 2, 46, 6, 2]);
+assertEquals(segments70[1].type, 'Define Quantization Tables');
+assertEquals(segments70[1].content[0].number, 0);
+assertEquals(segments70[1].payload.length, 65);
+assertEquals(segments70[2].content, 3); /* Restart interval */
+assertEquals(segments70[3].content.height, 0);
+assertEquals(segments70[3].content.width, 30);
+assertArray(segments70[4].content.map((table) => table.type), [0, 1]);
+assertEquals(segments70[5].content.components[0].id, 1);
+assertEquals(segments70[6].type, 'Entropy-coded data');
+assertEquals(segments70[6].payload.length, 136);
+assertEquals(segments70[7].type, 'Restart 0');
+assertEquals(segments70[7].payload.length, 0);
+assertEquals(segments70[17].content, 27); /* Number of lines */
+
+var segments71 = JPEG.parseSegments(fs.readFileSync(__dirname + '/exif-thumbnail.jpg'));
+assertEquals(segments71[1].content[1][0][1], 'JPEG Data Offset');
+assertEquals(segments71[2].content.chunk, 1);
+assertEquals(segments71[3].content.majorVersion, 1);
+assertEquals(segments71[4].content, 'Created with GIMP');
+
+/* Reading image properties from the headers, without decoding */
+var probe72 = JPEG.probe(fs.readFileSync(__dirname + '/restart+subsampling.jpg'));
+assertEquals(probe72.width, 11);
+assertEquals(probe72.height, 11);
+assertEquals(probe72.precision, 8);
+assertEquals(probe72.sampling, '4:2:0');
+assertEquals(probe72.colorSpace, 'YCbCr');
+assertEquals(probe72.mode, 'baseline');
+assertEquals(probe72.coding, 'huffman');
+assertEquals(probe72.progressive, false);
+assertEquals(probe72.lossless, false);
+assertEquals(probe72.restartInterval, 2);
+assertArray(probe72.applicationSegments.map((s) => s.identifier), ['JFIF', 'ICC_PROFILE']);
+
+var probe73 = JPEG.probe(fs.readFileSync(__dirname + '/prog+arith+restart+sampling.jpg'));
+assertEquals(probe73.mode, 'progressive');
+assertEquals(probe73.coding, 'arithmetic');
+assertEquals(probe73.progressive, true);
+
+var probe74 = JPEG.probe(fs.readFileSync(__dirname + '/lossless-rgb-sampling.jpg'));
+assertEquals(probe74.mode, 'lossless');
+assertEquals(probe74.lossless, true);
+assertEquals(probe74.sampling, '4:2:2');
+assertEquals(probe74.colorSpace, 'RGB');
+
+assertEquals(JPEG.probe(fs.readFileSync(__dirname + '/12bit-grayscale.jpg')).sampling, '4:0:0');
+assertEquals(JPEG.probe(fs.readFileSync(__dirname + '/12bit-grayscale.jpg')).mode, 'extended');
+assertEquals(JPEG.probe(fs.readFileSync(__dirname + '/cmyk-adobe.jpg')).sampling, '4:4:4:4');
+assertEquals(JPEG.probe(fs.readFileSync(__dirname + '/ycck-adobe.jpg')).colorSpace, 'YCCK');
+assertEquals(JPEG.probe(fs.readFileSync(__dirname + '/sampling-3x2-2x1-1x1.jpg')).sampling, '3x2,2x1,1x1');
+assertArray(JPEG.probe(fs.readFileSync(__dirname + '/exif-thumbnail.jpg')).applicationSegments.map((s) => s.identifier), ['Exif', 'ICC_PROFILE', 'JFIF']);
+
+/* The height may not be known until after the first scan */
+assertEquals(JPEG.probe(fs.readFileSync(__dirname + '/dnl-restart.jpg')).height, 0);
+
+/* For hierarchical JPEGs, the size of the final image is reported */
+var probe75 = JPEG.probe(fs.readFileSync(__dirname + '/hierarchical-dct.jpg'));
+assertEquals(probe75.hierarchical, true);
+assertEquals(probe75.width, 16);
+assertEquals(probe75.height, 16);
+
+/* Decoding to a result object, which includes metadata */
+var decoded76 = JPEG.decode(fs.readFileSync(__dirname + '/restart+subsampling.jpg'));
+assertEquals(decoded76.width, 11);
+assertEquals(decoded76.height, 11);
+assertEquals(decoded76.channels, 3);
+assertEquals(decoded76.colorSpace, 'RGB');
+assertEquals(decoded76.encodedColorSpace, 'YCbCr');
+assertEquals(decoded76.bitDepth, 8);
+assertArray(Array.from(decoded76.data), Array.from(JPEG.fromBytes(fs.readFileSync(__dirname + '/restart+subsampling.jpg'))[1]));
+assertEquals(decoded76.metadata.jfif.horizDensity, 300);
+assertEquals(decoded76.metadata.exif, undefined);
+assertEquals(decoded76.metadata.adobe, undefined);
+assertArray(decoded76.metadata.comments, ['Created with GIMP']);
+/* The ICC profile starts with its own size, and does not include the chunk number/count */
+assertEquals(decoded76.metadata.icc.length, 672);
+assertEquals(decoded76.metadata.icc.readUInt32BE(0), 672);
+
+var decoded77 = JPEG.decode(fs.readFileSync(__dirname + '/exif-thumbnail.jpg'));
+assertEquals(decoded77.metadata.exif.length, 2);
+
+/* Malformed EXIF data is left out, but the image is still decoded
+ * The TIFF header starts 10 bytes into the EXIF segment, with the byte order and then the
+ * offset of the first IFD */
+var badByteOrder = Buffer.from(fs.readFileSync(__dirname + '/exif-thumbnail.jpg'));
+badByteOrder.write('XX', 12, 'binary');
+var badOffset = Buffer.from(fs.readFileSync(__dirname + '/exif-thumbnail.jpg'));
+badOffset.writeUInt32BE(0x7FFF0000, 16);
+for (var data77 of [badByteOrder, badOffset]) {
+  assertThrows(() => JPEG.parseSegments(data77));
+  const decoded = JPEG.decode(data77);
+  assertEquals(decoded.metadata.exif, undefined);
+  assertArray(Array.from(decoded.data), Array.from(decoded77.data));
+  assertArray(Array.from(JPEG.fromBytes(data77)[1]), Array.from(decoded77.data));
+}
+
+var decoded78 = JPEG.decode(fs.readFileSync(__dirname + '/cmyk-adobe.jpg'), { cmyk: true });
+assertEquals(decoded78.channels, 4);
+assertEquals(decoded78.colorSpace, 'CMYK');
+assertEquals(decoded78.data.length, 13 * 11 * 4);
+assertEquals(decoded78.metadata.adobe.transform, 0);
+
+var decoded79 = JPEG.decode(fs.readFileSync(__dirname + '/12bit-grayscale.jpg'), { uint16: true });
+assertEquals(decoded79.encodedColorSpace, 'grayscale');
+assertEquals(decoded79.bitDepth, 12);
+assertEquals(decoded79.data.constructor, Uint16Array);
+assertEquals(JPEG.decode(fs.readFileSync(__dirname + '/12bit-grayscale.jpg')).bitDepth, 8);
+assertEquals(JPEG.decode(fs.readFileSync(__dirname + '/hierarchical-dct.jpg')).width, 16);
+
+/* Other output formats */
+var data80 = fs.readFileSync(__dirname + '/restart+subsampling.jpg');
+var rgb80 = Array.from(JPEG.decode(data80).data);
+var rgba80 = JPEG.decode(data80, { format: 'rgba' });
+assertEquals(rgba80.channels, 4);
+assertEquals(rgba80.colorSpace, 'RGBA');
+assertEquals(rgba80.stride, 11 * 4);
+assertArray(Array.from(rgba80.data).filter((_, i) => i % 4 !== 3), rgb80);
+assertArray(Array.from(rgba80.data).filter((_, i) => i % 4 === 3), new Array(11 * 11).fill(255));
+
+/* For YCbCr images, grayscale output is just the Y component, which is also what we get
+ * from 'planes' (the Y component is not subsampled in this image) */
+var gray80 = JPEG.decode(data80, { format: 'grayscale' });
+assertEquals(gray80.channels, 1);
+assertEquals(gray80.data.length, 11 * 11);
+var planes80 = JPEG.decode(data80, { format: 'planes' });
+assertEquals(planes80.format, 'planes');
+assertEquals(planes80.colorSpace, 'YCbCr');
+assertArray(planes80.data.map((p) => [p.width, p.height, p.horizSampling, p.vertSampling]), [[11, 11, 2, 2], [6, 6, 1, 1], [6, 6, 1, 1]]);
+assertArray(Array.from(gray80.data), Array.from(planes80.data[0].data));
+
+/* For RGB images, grayscale output is luminance computed from R, G, and B */
+var rgb81 = JPEG.decode(fs.readFileSync(__dirname + '/rgb-adobe.jpg')).data;
+var gray81 = JPEG.decode(fs.readFileSync(__dirname + '/rgb-adobe.jpg'), { format: 'grayscale' }).data;
+assertArray(Array.from(gray81), Array.from(gray81, (_, i) => Math.round(0.299 * rgb81[i*3] + 0.587 * rgb81[i*3+1] + 0.114 * rgb81[i*3+2])));
+
+/* Lossless and hierarchical images can be returned as planes too */
+var planes82 = JPEG.decode(fs.readFileSync(__dirname + '/lossless-rgb-sampling.jpg'), { format: 'planes' });
+assertArray(planes82.data.map((p) => [p.width, p.height, p.horizSampling, p.vertSampling]), [[13, 9, 2, 1], [7, 9, 1, 1], [7, 9, 1, 1]]);
+assertEquals(JPEG.decode(fs.readFileSync(__dirname + '/hierarchical-dct.jpg'), { format: 'planes' }).data[0].width, 16);
+assertArray(Array.from(JPEG.decode(fs.readFileSync(__dirname + '/hierarchical-dct.jpg'), { format: 'rgba' }).data).filter((_, i) => i % 4 !== 3),
+  Array.from(JPEG.decode(fs.readFileSync(__dirname + '/hierarchical-dct.jpg')).data));
+
+/* With 12-bit samples, alpha is 4095 */
+var rgba83 = JPEG.decode(fs.readFileSync(__dirname + '/12bit-grayscale.jpg'), { format: 'rgba', uint16: true });
+assertEquals(rgba83.data[3], 4095);
+assertEquals(rgba83.bitDepth, 12);
+
+/* Decode into a caller-supplied buffer, with padding at the end of each row */
+var output84 = Buffer.alloc(11 * 40).fill(0xAA);
+var decoded84 = JPEG.decode(data80, { output: output84, stride: 40 });
+assertEquals(decoded84.data, output84);
+assertEquals(decoded84.stride, 40);
+for (var y = 0; y < 11; y++) {
+  assertArray(Array.from(output84.subarray(y * 40, y * 40 + 33)), rgb80.slice(y * 33, (y + 1) * 33));
+  assertArray(Array.from(output84.subarray(y * 40 + 33, (y + 1) * 40)), new Array(7).fill(0xAA));
+}
+
+/* Bad options */
+for (var options of [{ format: 'cmyk' }, { format: 'bgr' }, { output: Buffer.alloc(11 * 11 * 3 - 1) },
+                     { output: new Uint16Array(11 * 11 * 3) }, { stride: 32 }, { format: 'planes', output: Buffer.alloc(11 * 11 * 3) }]) {
+  assertThrows(() => JPEG.decode(data80, options));
+}
+
+/* Reading DCT coefficients without decoding to samples
+ * Y was quantized with the table as first defined, Cb and Cr with the redefined table */
+var coeffs85 = JPEG.readCoefficients(fs.readFileSync(__dirname + '/requantized-multiscan.jpg'));
+assertEquals(coeffs85.width, 25);
+assertEquals(coeffs85.height, 18);
+assertArray(coeffs85.components.map((c) => [c.id, c.blocksPerRow, c.blocksPerCol, c.quantTable]), [[1, 4, 3, 0], [2, 2, 3, 0], [3, 2, 3, 0]]);
+assertArray(Array.from(coeffs85.components[0].quantValues.slice(0, 4)), [1, 2, 3, 4]);
+assertArray(Array.from(coeffs85.components[1].quantValues.slice(0, 4)), [3, 5, 7, 9]);
+assertArray(Array.from(coeffs85.quantTables[0].slice(0, 4)), [3, 5, 7, 9]);
+assertEquals(coeffs85.components[0].coefficients.constructor, Int16Array);
+assertEquals(coeffs85.components[0].coefficients.length, 4 * 3 * 64);
+assertArray(Array.from(coeffs85.components[0].coefficients.slice(0, 4)), [433, -64, -22, -2]);
+
+var dequantized85 = JPEG.readCoefficients(fs.readFileSync(__dirname + '/requantized-multiscan.jpg'), { dequantize: true });
+assertEquals(dequantized85.components[0].coefficients.constructor, Int32Array);
+for (var ci = 0; ci < 3; ci++) {
+  const { coefficients, quantValues } = coeffs85.components[ci];
+  assertArray(Array.from(dequantized85.components[ci].coefficients), Array.from(coefficients, (coeff, i) => coeff * quantValues[i % 64]));
+}
+
+/* For 12-bit JPEGs, quantized coefficients are in an Int32Array too */
+var coeffs85b = JPEG.readCoefficients(fs.readFileSync(__dirname + '/12bit-ycbcr-sampling.jpg'));
+var dequantized85b = JPEG.readCoefficients(fs.readFileSync(__dirname + '/12bit-ycbcr-sampling.jpg'), { dequantize: true });
+assertEquals(coeffs85b.precision, 12);
+for (var ci = 0; ci < 3; ci++) {
+  const { coefficients, quantValues } = coeffs85b.components[ci];
+  assertEquals(coefficients.constructor, Int32Array);
+  assertArray(Array.from(dequantized85b.components[ci].coefficients), Array.from(coefficients, (coeff, i) => coeff * quantValues[i % 64]));
+}
+
+/* Coefficients are in natural order, so the 2nd one is the lowest horizontal frequency */
+var coeffs86 = JPEG.readCoefficients(fs.readFileSync(__dirname + '/8x8-black-white-1.jpg'));
+assertArray(Array.from(coeffs86.components[0].coefficients.slice(0, 8)), [-1, -462, 0, 108, 0, -27, 0, 15]);
+
+/* Likewise for progressive JPEGs */
+assertArray(Array.from(JPEG.readCoefficients(fs.readFileSync(__dirname + '/requantized-progressive.jpg')).components[1].quantValues.slice(0, 4)), [3, 5, 7, 9]);
+
+assertThrows(() => JPEG.readCoefficients(fs.readFileSync(__dirname + '/lossless-predictor1.jpg')));
+
+/* The 'islow' IDCT gives exactly the same samples as libjpeg's default IDCT */
+var planes87 = JPEG.decode(fs.readFileSync(__dirname + '/random0.jpg'), { idct: 'islow', format: 'planes' }).data;
+assertArray(Array.from(planes87[0].data), [
+  189, 169, 106, 130, 121, 116, 170, 165, 194, 203,
+  125, 190, 228, 178,  74, 189, 131, 100,  68,  54,
+  129,  90, 216, 157, 114,  69,  67, 109, 215,  95,
+   85,  76, 138, 128,  84, 195, 176, 108, 120, 204,
+   49, 154, 130, 107, 134, 150,  84, 169,  88, 119,
+  216, 100, 184, 130, 231, 187, 122, 145, 203, 144,
+  222,  74, 128, 190, 186, 149, 200, 113,  27,  51,
+  196, 141, 176, 154, 159,  42,  95,  51, 212, 137,
+  195, 194, 146, 161,  95, 145, 124, 168, 169,  93,
+   97,  98, 122, 168, 221, 115, 128, 118, 121,  75
+]);
+
+/* Each IDCT gives almost the same result */
+for (var filename of ['random0.jpg', 'progressive1.jpg', '12bit-ycbcr-sampling.jpg', 'hierarchical-dct.jpg']) {
+  const reference = JPEG.decode(fs.readFileSync(__dirname + '/' + filename), { idct: 'exact', uint16: true }).data;
+  for (var method of ['islow', 'float'])
+    assertRasterWithin(JPEG.decode(fs.readFileSync(__dirname + '/' + filename), { idct: method, uint16: true }).data, Array.from(reference), 2);
+  assertRasterWithin(JPEG.decode(fs.readFileSync(__dirname + '/' + filename), { idct: 'ifast', uint16: true }).data, Array.from(reference), 4);
+}
+
+assertThrows(() => JPEG.decode(fs.readFileSync(__dirname + '/random0.jpg'), { idct: 'slow' }));
+
+/* Scaled decoding; with the 'islow' IDCT, the samples are the same as from libjpeg-turbo, whose
+ * reduced-size IDCTs come from jidctred.c in libjpeg 6b (see `test/decode-jpeg random0.jpg 2`) */
+var image88 = JPEG.decode(fs.readFileSync(__dirname + '/random0.jpg'), { idct: 'islow', scale: 1/2 });
+assertEquals(image88.width, 5);
+assertEquals(image88.height, 5);
+assertArray(Array.from(image88.data), [
+  160, 182, 120, 193, 145, 157, 125, 136,  70, 200, 114, 125, 137, 124, 141,
+  108,  75, 166, 147, 173, 128,  93, 124, 129, 153,  94, 122, 154, 165, 135,
+  158, 112, 148, 160, 125, 149, 226, 156, 148, 144, 135,  68, 128, 146, 132,
+  117, 188, 108, 175, 160, 139, 112, 149, 116, 140, 112,  62,  87, 106, 162,
+  119, 154, 176,  86, 182, 145, 141, 145, 146, 129, 140, 124,  87, 113, 188
+]);
+
+/* At 1/8 scale, each pixel is the average of an 8x8 block, so only DC coefficients matter
+ * The width and height are rounded up; again, libjpeg-turbo gives the same samples */
+var image88b = JPEG.decode(fs.readFileSync(__dirname + '/13x13-grayscale.jpg'), { idct: 'islow', scale: 1/8, format: 'grayscale' });
+assertEquals(image88b.width, 2);
+assertEquals(image88b.height, 2);
+assertArray(Array.from(image88b.data), [1, 124, 255, 60]);
+
+/* Each pixel is (nearly) the average of the pixels which it covers in the full-size image
+ * (Each component is rounded before color conversion, so there may be some rounding error) */
+function shrinkRaster(image, factor) {
+  const { width, height, channels, data } = image;
+  const result = [];
+  for (var y = 0; y < Math.ceil(height / factor); y++) {
+    for (var x = 0; x < Math.ceil(width / factor); x++) {
+      for (var c = 0; c < channels; c++) {
+        var sum = 0, count = 0;
+        for (var yy = y * factor; yy < Math.min((y + 1) * factor, height); yy++)
+          for (var xx = x * factor; xx < Math.min((x + 1) * factor, width); xx++, count++)
+            sum += data[(yy * width + xx) * channels + c];
+        result.push(sum / count);
+      }
+    }
+  }
+  return result;
+}
+for (var filename of ['13x13-grayscale.jpg', 'progressive1.jpg', '8x8-red-drawing.jpg']) {
+  const fullSize = JPEG.decode(fs.readFileSync(__dirname + '/' + filename), { idct: 'exact' });
+  for (var factor of [2, 4, 8]) {
+    for (var method of ['islow', 'float']) {
+      const scaled = JPEG.decode(fs.readFileSync(__dirname + '/' + filename), { idct: method, scale: 1/factor });
+      assertEquals(scaled.width, Math.ceil(fullSize.width / factor));
+      assertEquals(scaled.height, Math.ceil(fullSize.height / factor));
+      assertRasterWithin(scaled.data, shrinkRaster(fullSize, factor), 2);
+    }
+  }
+}
+
+/* Subsampled components are scaled down by the same factor */
+var image88c = JPEG.decode(fs.readFileSync(__dirname + '/sampling-4x2-1x1-1x1.jpg'), { format: 'planes', scale: 1/4 });
+assertEquals(image88c.width, 11);
+assertEquals(image88c.height, 5);
+assertArray(image88c.data.map((plane) => [plane.width, plane.height]), [[11, 5], [3, 3], [3, 3]]);
+assertEquals(JPEG.decode(fs.readFileSync(__dirname + '/sampling-4x2-1x1-1x1.jpg'), { scale: 1/4 }).data.length, 11 * 5 * 3);
+
+for (var [filename, options] of [['random0.jpg', { scale: 1/3 }], ['lossless-predictor1.jpg', { scale: 1/2 }], ['hierarchical-dct.jpg', { scale: 1/2 }]]) {
+  assertThrows(() => JPEG.decode(fs.readFileSync(__dirname + '/' + filename), options));
+}
+
+/* Decoding just a region of the image gives the same pixels as cropping the whole image */
+function cropRaster(image, x, y, width, height) {
+  const result = [];
+  for (var row = y; row < y + height; row++)
+    result.push(...image.data.subarray((row * image.width + x) * image.channels, (row * image.width + x + width) * image.channels));
+  return result;
+}
+for (var [filename, scale] of [['progressive1.jpg', 1], ['8x8-red-drawing.jpg', 1], ['sampling-4x2-1x1-1x1.jpg', 1], ['sampling-4x2-1x1-1x1.jpg', 1/2], ['prog+arith+restart+sampling.jpg', 1], ['12bit-ycbcr-sampling.jpg', 1]]) {
+  const fullSize = JPEG.decode(fs.readFileSync(__dirname + '/' + filename), { scale: scale });
+  for (var [x, y, width, height] of [[0, 0, 1, 1], [1, 2, 3, 4], [fullSize.width - 5, fullSize.height - 3, 5, 3], [0, 0, fullSize.width, fullSize.height]]) {
+    const region = JPEG.decode(fs.readFileSync(__dirname + '/' + filename), { scale: scale, region: { x: x, y: y, width: width, height: height } });
+    assertEquals(region.width, width);
+    assertEquals(region.height, height);
+    assertArray(Array.from(region.data), cropRaster(fullSize, x, y, width, height));
+  }
+}
+
+/* Each restart interval in this image is one row of MCUs; if only the second row is needed,
+ * the first restart interval is skipped, so those coefficients are never decoded */
+var fullSize89 = JPEG.decode(fs.readFileSync(__dirname + '/16x16-restart-markers.jpg'));
+var [jpg89, raster89] = JPEG.fromBytes(fs.readFileSync(__dirname + '/16x16-restart-markers.jpg'), { region: { x: 3, y: 8, width: 10, height: 8 } });
+assertArray(Array.from(raster89), cropRaster(fullSize89, 3, 8, 10, 8));
+assertEquals(jpg89.coefficients[0].subarray(0, 2 * 64).every((coeff) => coeff === 0), true);
+assertEquals(jpg89.coefficients[0].subarray(2 * 64).some((coeff) => coeff !== 0), true);
+
+/* Likewise, nothing after the region is decoded */
+var [jpg89b, raster89b] = JPEG.fromBytes(fs.readFileSync(__dirname + '/16x16-restart-markers.jpg'), { region: { x: 0, y: 0, width: 4, height: 4 } });
+assertArray(Array.from(raster89b), cropRaster(fullSize89, 0, 0, 4, 4));
+assertEquals(jpg89b.coefficients[0].subarray(64).every((coeff) => coeff === 0), true);
+
+/* The region must fit inside the image */
+for (var [filename, options] of [
+  ['random0.jpg', { region: { x: 5, y: 5, width: 6, height: 1 } }],
+  ['random0.jpg', { region: { x: 0, y: 0, width: 6, height: 6 }, scale: 1/2 }],
+  ['random0.jpg', { region: { x: -1, y: 0, width: 1, height: 1 } }],
+  ['random0.jpg', { region: { x: 0, y: 0, width: 0, height: 1 } }],
+  ['random0.jpg', { region: { x: 0, y: 0, width: 1, height: 1 }, format: 'planes' }],
+  ['lossless-predictor1.jpg', { region: { x: 0, y: 0, width: 1, height: 1 } }]]) {
+  assertThrows(() => JPEG.decode(fs.readFileSync(__dirname + '/' + filename), options));
+}
+
+/* Progressive rendering: after each scan, the image can be rendered as it is so far */
+for (var filename of ['progressive1.jpg', 'prog-arith1.jpg']) {
+  const data = fs.readFileSync(__dirname + '/' + filename);
+  const scans = [], renders = [];
+  const image = JPEG.decode(data, { onScan: (scan) => {
+    scans.push([scan.components, scan.spectralStart, scan.spectralEnd, scan.approxBitHigh, scan.approxBitLow]);
+    renders.push(scan.render());
+  }});
+  assertArray(scans, [
+    [[1, 2, 3], 0, 0, 0, 1],
+    [[1], 1, 5, 0, 2],
+    [[3], 1, 63, 0, 1],
+    [[2], 1, 63, 0, 1],
+    [[1], 6, 63, 0, 2],
+    [[1], 1, 63, 2, 1],
+    [[1, 2, 3], 0, 0, 1, 0],
+    [[3], 1, 63, 1, 0],
+    [[2], 1, 63, 1, 0],
+    [[1], 1, 63, 1, 0]]);
+
+  /* Each rendering is the same as what we get if the file ends after that scan
+   * (The last one is the finished image) */
+  const scanHeaders = Array.from(JPEG.segments(data)).filter((segment) => segment.marker === 0xDA);
+  for (var i = 0; i < scans.length - 1; i++) {
+    const truncated = Buffer.concat([data.subarray(0, scanHeaders[i+1].index), Buffer.from([0xFF, 0xD9])]);
+    assertArray(Array.from(renders[i].data), Array.from(JPEG.decode(truncated).data));
+  }
+  assertArray(Array.from(renders[scans.length - 1].data), Array.from(image.data));
+  assertEquals(renders[0].width, image.width);
+  assertEquals(renders[0].format, image.format);
+}
+
+/* Until a refinement scan provides them, the low-order bits of the coefficients are zero
+ * The first scan of this image has DC coefficients without their lowest bit */
+var data90 = fs.readFileSync(__dirname + '/progressive1.jpg');
+var secondScan90 = Array.from(JPEG.segments(data90)).filter((segment) => segment.marker === 0xDA)[1].index;
+var partial90 = JPEG.readCoefficients(Buffer.concat([data90.subarray(0, secondScan90), Buffer.from([0xFF, 0xD9])]), { dequantize: true });
+var complete90 = JPEG.readCoefficients(data90);
+for (var ci = 0; ci < 3; ci++) {
+  const dc = complete90.components[ci].coefficients[0];
+  assertEquals(partial90.components[ci].coefficients[0], ((dc >> 1) << 1) * complete90.components[ci].quantValues[0]);
+  assertEquals(partial90.components[ci].coefficients.subarray(1).every((coeff) => coeff === 0), true);
+}
+
+/* Rendering uses the same options as decoding, except for `output` */
+var renders90 = [];
+JPEG.decode(data90, { format: 'grayscale', output: Buffer.alloc(64), onScan: (scan) => renders90.push(scan.render()) });
+assertEquals(renders90.every((render) => render.format === 'grayscale' && render.data.length === 64), true);
+assertEquals(renders90[0].data !== renders90[1].data, true);
+
+/* Sequential scans cover all coefficients, at full precision */
+var scans90 = [];
+JPEG.decode(fs.readFileSync(__dirname + '/multiscan-2comp.jpg'), { onScan: (scan) => scans90.push([scan.components, scan.spectralStart, scan.spectralEnd, scan.approxBitHigh, scan.approxBitLow]) });
+assertArray(scans90, [[[2, 3], 0, 63, 0, 0], [[1], 0, 63, 0, 0]]);
+
+/* The callback is not used for lossless JPEGs */
+JPEG.decode(fs.readFileSync(__dirname + '/lossless-predictor1.jpg'), { onScan: () => { throw new Error("onScan should not be called"); } });
+
+assertThrows(() => JPEG.decode(data90, { onScan: true }));
+
+/* Decoding doesn't allocate anything for each pixel or block, only for each segment and scan
+ * The bytes allocated on the heap are those still in use afterwards, plus those freed by each GC */
+const v8 = require('v8');
+function allocatedBytes(fn) {
+  const profiler = new v8.GCProfiler();
+  const before = v8.getHeapStatistics().used_heap_size;
+  profiler.start();
+  fn();
+  const after = v8.getHeapStatistics().used_heap_size;
+  const freed = profiler.stop().statistics.reduce((sum, gc) =>
+    sum + gc.beforeGC.heapStatistics.usedHeapSize - gc.afterGC.heapStatistics.usedHeapSize, 0);
+  return after - before + freed;
+}
+
+for (const name of ['128x128-rgb.jpg', '128x128-ycck.jpg', '128x128-prog-arith.jpg', '128x128-lossless-rgb.jpg', 'noise-restart.jpg']) {
+  const data = fs.readFileSync(__dirname + '/' + name);
+  const { width, height } = JPEG.probe(data);
+  /* Warm up first; until the decoder is optimized, intermediate values may be allocated too */
+  for (var i = 0; i < 10; i++)
+    JPEG.decode(data);
+  const bytesPerPixel = allocatedBytes(() => { for (var i = 0; i < 10; i++) JPEG.decode(data); }) / (10 * width * height);
+  if (bytesPerPixel > 32)
+    throw new Error(`${name}: ${bytesPerPixel.toFixed(1)} bytes allocated per pixel`);
+}
+
 console.log("OK!");
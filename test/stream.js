@@ -0,0 +1,188 @@
+'use strict';
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { JPEG } = require('../jpeg.js');
+const { StreamDecoder, DecodeStream, decodeBands } = require('../stream.js');
+const { assertThrows, assertRejects } = require('./helpers.js');
+
+function equals(a, b) {
+  if (Array.isArray(a)) {
+    if (!Array.isArray(b))
+      return false;
+    return a.length == b.length && a.every((val, idx) => equals(val, b[idx]));
+  } else {
+    return a === b;
+  }
+}
+
+function assertArray(actual, expected) {
+  if (!Array.isArray(actual))
+    throw new Error(`expected ${actual} to be an array`);
+  if (!equals(actual, expected))
+    throw new Error(`expected ${actual} to be ${expected}`);
+}
+
+function assertEquals(a, b) {
+  if (a !== b)
+    throw new Error(`expected ${a} to === ${b}`);
+}
+
+function readFile(filename) {
+  return fs.readFileSync(__dirname + '/' + filename);
+}
+
+function* chunksOf(buffer, size) {
+  for (var i = 0; i < buffer.length; i += size)
+    yield buffer.subarray(i, i + size);
+}
+
+/* Check that the bands cover the image from top to bottom, and put them back together */
+function joinBands(bands, width, height) {
+  var y = 0;
+  const data = [];
+  for (const band of bands) {
+    assertEquals(band.y, y);
+    assertEquals(band.width, width);
+    y += band.height;
+    data.push(...band.data);
+  }
+  assertEquals(y, height);
+  return data;
+}
+
+/* Push the data in chunks of `chunkSize` bytes; returns all the bands, and how many were
+ * ready before the last chunk */
+function decodeInChunks(buffer, chunkSize, options) {
+  const decoder = new StreamDecoder(options);
+  const bands = [];
+  var early = 0;
+  for (const chunk of chunksOf(buffer, chunkSize)) {
+    const ready = decoder.push(chunk);
+    if (chunk.byteOffset - buffer.byteOffset + chunk.length < buffer.length)
+      early += ready.length;
+    bands.push(...ready);
+  }
+  bands.push(...decoder.end());
+  return [early, bands];
+}
+
+/* Whatever size the chunks are, we get the same pixels as from `JPEG.decode` */
+for (var [filename, options] of [
+  ['restart-every-row.jpg', {}],
+  ['random0.jpg', {}],
+  ['sampling-4x2-1x1-1x1.jpg', { scale: 1/2 }],
+  ['16x16-restart-markers.jpg', { format: 'rgba' }],
+  ['multiscan-3comp.jpg', {}],
+  ['12bit-grayscale.jpg', { uint16: true }],
+  ['progressive1.jpg', {}],
+  ['arithmetic1.jpg', {}],
+  ['dnl-restart.jpg', {}],
+  ['lossless-predictor1.jpg', {}],
+  ['hierarchical-dct.jpg', {}],
+  ['cmyk-adobe.jpg', {}]]) {
+  const image = JPEG.decode(readFile(filename), options);
+  for (var chunkSize of [1, 13, 1000000]) {
+    const decoder = new StreamDecoder(options);
+    const bands = [];
+    for (const chunk of chunksOf(readFile(filename), chunkSize))
+      bands.push(...decoder.push(chunk));
+    bands.push(...decoder.end());
+    for (const band of bands) {
+      assertEquals(band.format, image.format);
+      assertEquals(band.channels, image.channels);
+    }
+    assertArray(joinBands(bands, image.width, image.height), Array.from(image.data));
+  }
+}
+
+/* With a restart marker after each row of MCUs, each row can be painted as soon as the
+ * marker which follows it arrives */
+var [early, bands] = decodeInChunks(readFile('restart-every-row.jpg'), 64);
+assertArray(bands.map((band) => band.y), [0, 16, 32, 48, 64]);
+assertArray(bands.map((band) => band.height), [16, 16, 16, 16, 16]);
+assertEquals(early, 4);
+
+/* Progressive JPEGs don't have any pixels until the end */
+[early, bands] = decodeInChunks(readFile('progressive1.jpg'), 64);
+assertEquals(early, 0);
+
+/* Lossless JPEGs are painted as one band */
+[early, bands] = decodeInChunks(readFile('lossless-predictor1.jpg'), 64);
+assertEquals(early, 0);
+assertEquals(bands.length, 1);
+
+/* Data which has been processed is discarded, so the buffer does not grow with the size
+ * of the file */
+var data = readFile('noise-restart.jpg');
+var image = JPEG.decode(data);
+var decoder = new StreamDecoder();
+var bufferSize = 0;
+bands = [];
+for (const chunk of chunksOf(data, 100)) {
+  bands.push(...decoder.push(chunk));
+  bufferSize = Math.max(bufferSize, decoder.buffer.length);
+}
+bands.push(...decoder.end());
+assertArray(joinBands(bands, image.width, image.height), Array.from(image.data));
+assertEquals(bufferSize <= data.length / 4, true);
+
+/* Nothing more is returned after the End of Image marker */
+decoder = new StreamDecoder();
+decoder.push(readFile('random0.jpg'));
+assertArray(decoder.push(Buffer.from([0xFF, 0xD8])), []);
+assertArray(decoder.end(), []);
+
+/* Data which stops in the middle of a segment */
+data = readFile('restart-every-row.jpg');
+for (var length of [10, 300, data.length - 100]) {
+  assertThrows(() => {
+    decoder = new StreamDecoder();
+    decoder.push(data.subarray(0, length));
+    decoder.end();
+  });
+}
+
+/* Options which don't make sense for streaming */
+for (var options of [{ region: { x: 0, y: 0, width: 1, height: 1 } }, { format: 'planes' }, { output: Buffer.alloc(1000) }]) {
+  assertThrows(() => new StreamDecoder(options));
+}
+
+/* The `onScan` callback is also used when streaming, including for scans which are decoded
+ * as the data arrives */
+for (var filename of ['multiscan-1comp.jpg', 'progressive1.jpg']) {
+  const data = readFile(filename);
+  const expected = [], scans = [];
+  JPEG.decode(data, { onScan: (scan) => expected.push(Array.from(scan.render().data)) });
+  decodeInChunks(data, 10, { onScan: (scan) => scans.push(Array.from(scan.render().data)) });
+  assertArray(scans, expected);
+}
+
+(async function() {
+  /* As an async iterator */
+  data = readFile('restart-every-row.jpg');
+  const image = JPEG.decode(data);
+  bands = [];
+  for await (const band of decodeBands(Readable.from(chunksOf(data, 100))))
+    bands.push(band);
+  assertArray(joinBands(bands, image.width, image.height), Array.from(image.data));
+
+  /* As a Transform stream */
+  bands = [];
+  await pipeline(Readable.from(chunksOf(data, 100)), new DecodeStream(), async function(source) {
+    for await (const band of source)
+      bands.push(band);
+  });
+  assertArray(joinBands(bands, image.width, image.height), Array.from(image.data));
+
+  /* Errors are passed along */
+  await assertRejects(() => pipeline(Readable.from([data.subarray(0, 300)]), new DecodeStream(), async function(source) {
+    for await (const band of source);
+  }));
+
+  console.log("OK!");
+})().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});